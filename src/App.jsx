@@ -1,114 +1,861 @@
-import React, { useState, useMemo } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, ResponsiveContainer } from 'recharts';
-import { ChartContainer, ChartTooltip, ChartTooltipContent } from "@/components/ui/chart";
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import { flushSync } from 'react-dom';
+import { ComposedChart, Line, Area, XAxis, YAxis, CartesianGrid, ResponsiveContainer, ReferenceLine, Customized } from 'recharts';
+import { ChartContainer, ChartTooltip, ChartTooltipContent, ChartLegend, ChartLegendContent } from "@/components/ui/chart";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Input } from "@/components/ui/input";
+import { NativeSelect } from "@/components/ui/native-select";
 import { Button } from "@/components/ui/button";
-import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert";
+import { Toast, ToastDescription } from "@/components/ui/toast";
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow, TableFooter } from "@/components/ui/table";
-import { Trash2, Plus } from 'lucide-react';
+import { Trash2, Plus, Clock, FolderOpen, Link, Check, Layers, ArrowDownUp, CalendarDays, Info, TriangleAlert, OctagonAlert, AreaChart as AreaChartIcon, Undo2, Redo2, FlaskConical, Printer, Bell } from 'lucide-react';
+import { curve, levelAt, clearTime, latestDoseTime, maxDoseAt, ABSORPTION, ELIMINATION, MINUTE } from "@/lib/pharmacokinetics";
+import { resolveHalfLife, formatHours } from "@/lib/profile";
+import { defaultIntakes, nextIntake, sortIntakes, toTimeline, checkIntakes, alignIntakes, intakeDate } from "@/lib/intakes";
+import { DEFAULT_SETTINGS, VIEW_DAYS, checkSettings, modelParams, substanceParams } from "@/lib/settings";
+import { METABOLITES, metaboliteCurve, metaboliteLevelAt } from "@/lib/metabolites";
+import { CAFFEINE, SUBSTANCES, findSubstance, substanceId, substanceOf, intakesOf } from "@/lib/substances";
+import { loadState, saveState, createSchedule, scheduleForToday } from "@/lib/storage";
+import { decodeShare, readShareFromLocation, shareUrl } from "@/lib/share";
+import {
+  CLOCK, HOURS_PER_DAY, addDays, formatClock, formatDay, formatDuration, formatTimeOfDay, fromTimeline, hoursFrom, isISODate,
+  hoursSince, parseTimeOfDay, splitTimestamp, toLocalTimestamp, toTimestamp, today,
+} from "@/lib/time";
+import ProfilePanel from "@/components/ProfilePanel";
+import SleepPanel from "@/components/SleepPanel";
+import PlanPanel from "@/components/PlanPanel";
+import DrinkCatalogPanel from "@/components/DrinkCatalogPanel";
+import SchedulesPanel from "@/components/SchedulesPanel";
+import ComparePanel from "@/components/ComparePanel";
+import ImportExportPanel from "@/components/ImportExportPanel";
+import HistoryPanel from "@/components/HistoryPanel";
+import { logIntakes, addToHistory, dayWithCarryOver, removeDay } from "@/lib/history";
+import LimitsPanel from "@/components/LimitsPanel";
+import SummaryPanel from "@/components/SummaryPanel";
+import ReportView from "@/components/ReportView";
+import { chartToSvg } from "@/lib/chartImage";
+import RemindersPanel from "@/components/RemindersPanel";
+import { REMINDER, upcomingReminders } from "@/lib/reminders";
+import { notificationPermission, notificationsSupported, notify, requestNotifications } from "@/lib/notifications";
+import { daySummary } from "@/lib/stats";
+import DoseMarkers from "@/components/DoseMarkers";
+import { createUndo, record, undo, redo } from "@/lib/undo";
+import { limitRules, substanceRules, checkLimits, WARNING_LEVEL } from "@/lib/limits";
+import { PRESET_DRINKS, STANDARD_DRINK, MAX_SERVINGS, findDrink, withDrink, withAmount, intakeLabel } from "@/lib/drinks";
+import {
+  UNIT, UNIT_LABELS, UNIT_SUFFIXES, MIN_VOLUME_OF_DISTRIBUTION, MAX_VOLUME_OF_DISTRIBUTION,
+  isConcentration, toUnit, fromUnit, roundLevel, formatLevel,
+} from "@/lib/units";
 
-const CAFFEINE_HALF_LIFE = 5; // hours
-const TOTAL_DURATION = 24; // hours
+const NEW_DRINK = '__new';
+const SUBSTANCE_OPTION = 'substance:'; // prefixes substance ids in the drink select
+const CLOCK_LABELS = {
+  [CLOCK.LOCALE]: 'Automatic',
+  [CLOCK.H12]: '12-hour',
+  [CLOCK.H24]: '24-hour',
+};
+const WARNING_STYLES = {
+  [WARNING_LEVEL.INFO]: { variant: 'info', Icon: Info },
+  [WARNING_LEVEL.CAUTION]: { variant: 'caution', Icon: TriangleAlert },
+  [WARNING_LEVEL.DANGER]: { variant: 'destructive', Icon: OctagonAlert },
+};
+// Colours for compared scenarios; chart-1 to chart-3 are taken by the main lines.
+const SCENARIO_COLORS = [4, 5, 6, 7].map((n) => `hsl(var(--chart-${n}))`);
+// Stacked intakes, apart from the total they add up to and from scenarios.
+const INTAKE_COLORS = [8, 9, 10, 11].map((n) => `hsl(var(--chart-${n}))`);
+// Metabolites can be shown along with scenarios and the breakdown.
+const METABOLITE_COLORS = [12, 13, 14].map((n) => `hsl(var(--chart-${n}))`);
+
+// A moment in hours from the chart's start date, to the second.
+const onTimeline = (startDate, date) => (
+  hoursSince(startDate, toLocalTimestamp(date)) + (date.getSeconds() + date.getMilliseconds() / 1000) / 3600
+);
 
 const CaffeineHalfLifeApp = () => {
-  const [intakes, setIntakes] = useState([{ time: 6, amount: 100 }]);
+  // A shared link is shown instead of what was saved locally, which stays
+  // saved until the visitor keeps the shared one.
+  const [stored] = useState(() => {
+    const encoded = readShareFromLocation();
+    const shared = encoded !== null ? decodeShare(encoded) : null;
+    return { ...loadState(), shared, hadShare: encoded !== null };
+  });
+  const initial = stored.shared ?? stored.current;
+  const [edits, setEdits] = useState(() => createUndo(initial?.intakes ?? defaultIntakes()));
+  const intakes = edits.present;
+  const [settings, setSettings] = useState(() => initial?.settings ?? DEFAULT_SETTINGS);
+  const [badShare, setBadShare] = useState(stored.hadShare && !stored.shared);
+  const [ownSchedule, setOwnSchedule] = useState(() => (stored.shared ? stored.current : null)); // while a shared one is shown
+  const [copyStatus, setCopyStatus] = useState(null); // 'copied' or 'failed'
+  const [removal, setRemoval] = useState(null); // { label, intakes } after a deletion
+  const [schedules, setSchedules] = useState(stored.schedules);
+  const [customDrinks, setCustomDrinks] = useState(stored.drinks);
+  const [history, setHistory] = useState(stored.history);
+  const [reminders, setReminders] = useState(stored.reminders);
+  const [permission, setPermission] = useState(notificationPermission);
+  const [showingReminders, setShowingReminders] = useState(false);
+  const [now, setNow] = useState(() => Date.now()); // moves reminders along
+  const notified = useRef(new Set());
+  const [showingHistory, setShowingHistory] = useState(false);
+  const [showingSchedules, setShowingSchedules] = useState(false);
+  const [transferring, setTransferring] = useState(false);
+  const [comparing, setComparing] = useState(false);
+  const [compareIds, setCompareIds] = useState([]);
+  const [breakingDown, setBreakingDown] = useState(false);
+  const [showingMetabolites, setShowingMetabolites] = useState(false);
+  const [viewed, setViewed] = useState(CAFFEINE); // substance shown on the chart
+  const [managingDrinks, setManagingDrinks] = useState(false);
+  const [planning, setPlanning] = useState(false);
+  const [planAmount, setPlanAmount] = useState(100); // mg
+  const [planTime, setPlanTime] = useState(16); // hours
   const [error, setError] = useState('');
-  const chartConfig = {
-    caffeine: {
-      label: "Caffeine",
-      color: "hsl(var(--chart-3))",
-    },
-  }
+  const [printedChart, setPrintedChart] = useState(null); // chartToSvg result for the report
+  const chartRef = useRef(null);
+  const { viewDays, absorption, timeToPeak, profile, bedtime, sleepThreshold, unit, volumeOfDistribution, clock } = settings;
+  const halfLife = resolveHalfLife(profile);
+  const drinks = [...PRESET_DRINKS, ...customDrinks];
+
+  // Caffeine is always on offer; the others once an intake uses them.
+  const substancesInUse = useMemo(
+    () => SUBSTANCES.filter(({ id }) => id === CAFFEINE || intakes.some((intake) => substanceId(intake) === id)),
+    [intakes]
+  );
+  const shown = substancesInUse.find(({ id }) => id === viewed) ?? findSubstance(CAFFEINE);
+  const showingCaffeine = shown.id === CAFFEINE;
+
+  useEffect(() => {
+    if (stored.hadShare) window.history.replaceState(null, '', window.location.pathname + window.location.search);
+  }, [stored]);
+
+  useEffect(() => {
+    const current = ownSchedule ?? { intakes, settings };
+    saveState({ current, schedules, drinks: customDrinks, history, reminders });
+  }, [ownSchedule, intakes, settings, schedules, customDrinks, history, reminders]);
+
+  // Every change to the intakes goes through here so it can be undone.
+  const setIntakes = (next, group = null) => {
+    setEdits((state) => record(state, next, group));
+  };
+
+  // Loading a schedule sets its settings too. They are kept by the intakes
+  // it loaded, so undoing the load brings back the settings it replaced and
+  // redoing it sets them again.
+  const loadedSettings = useRef(new WeakMap());
+  const stepEdits = useRef(null);
+  useEffect(() => {
+    stepEdits.current = (move) => {
+      const next = move(edits);
+      if (next === edits) return;
+      const undone = move === undo && loadedSettings.current.get(edits.present);
+      const redone = move === redo && loadedSettings.current.get(next.present);
+      if (undone) setSettings(undone.replaced);
+      if (redone) setSettings(redone.settings);
+      setEdits(next);
+    };
+  });
+
+  const keepShared = () => setOwnSchedule(null);
+
+  const backToOwn = () => {
+    setIntakes(ownSchedule.intakes);
+    setSettings(ownSchedule.settings);
+    setOwnSchedule(null);
+  };
+
+  // A link pasted into an open tab is shown like one opened fresh, with the
+  // schedule from before it still saved.
+  const openShare = useRef(null);
+  useEffect(() => {
+    openShare.current = (shared) => {
+      setOwnSchedule(ownSchedule ?? { intakes, settings });
+      setIntakes(shared.intakes);
+      setSettings(shared.settings);
+    };
+  });
+
+  useEffect(() => {
+    const handleHashChange = () => {
+      const encoded = readShareFromLocation();
+      if (encoded === null) return;
+      window.history.replaceState(null, '', window.location.pathname + window.location.search);
+      const shared = decodeShare(encoded);
+      setBadShare(!shared);
+      if (shared) openShare.current(shared);
+    };
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
+  useEffect(() => {
+    const handleKey = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+      // Text fields keep their own undo.
+      if (event.target.closest?.('input, textarea')) return;
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) stepEdits.current(undo);
+      else if ((key === 'z' && event.shiftKey) || key === 'y') stepEdits.current(redo);
+      else return;
+      event.preventDefault();
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, []);
+
+  // The report shows the chart as an image, taken however printing starts.
+  useEffect(() => {
+    const snapshot = () => flushSync(() => setPrintedChart(renderChart()));
+    window.addEventListener('beforeprint', snapshot);
+    return () => window.removeEventListener('beforeprint', snapshot);
+  }, []);
+
+  useEffect(() => {
+    if (!removal) return;
+    const timer = setTimeout(() => setRemoval(null), 6000);
+    return () => clearTimeout(timer);
+  }, [removal]);
+
+  const renderChart = () => {
+    const svg = chartRef.current?.querySelector('.recharts-wrapper > svg');
+    return svg ? chartToSvg(svg) : null;
+  };
+
+  const updateSetting = (key, value) => {
+    setSettings({ ...settings, [key]: value });
+  };
+  const scenarios = useMemo(() => {
+    if (!comparing || !showingCaffeine) return [];
+    return compareIds.map((id) => schedules.find((s) => s.id === id)).filter(Boolean)
+      .map((schedule, index) => ({
+        key: `scenario-${index}`,
+        schedule,
+        color: SCENARIO_COLORS[index % SCENARIO_COLORS.length],
+      }));
+  }, [comparing, showingCaffeine, compareIds, schedules]);
 
   const addIntake = () => {
     const lastIntake = intakes[intakes.length - 1];
-    let newTime = (lastIntake.time + 2) % 24;
-    if (newTime <= lastIntake.time) {
-      newTime = (lastIntake.time + 2) % 24;
-    }
-    setIntakes([...intakes, { time: newTime, amount: 100 }]);
+    setIntakes([...intakes, nextIntake(lastIntake)]);
   };
 
   const removeIntake = (index) => {
-    setIntakes(intakes.filter((_, i) => i !== index));
+    const remaining = intakes.filter((_, i) => i !== index);
+    setIntakes(remaining);
+    setRemoval({ label: intakeLabel(intakes[index]), intakes: remaining });
   };
 
-  const updateIntake = (index, field, value) => {
+  const undoRemoval = () => {
+    stepEdits.current(undo);
+    setRemoval(null);
+  };
+
+  // `group` lets a run of edits to the same field undo as one step.
+  const replaceIntake = (index, intake, group = null) => {
     const newIntakes = [...intakes];
-    newIntakes[index][field] = Number(value);
-    setIntakes(newIntakes);
+    newIntakes[index] = intake;
+    setIntakes(newIntakes, group);
   };
 
-  const validateIntakes = () => {
-    for (let intake of intakes) {
-      if (intake.time < 0 || intake.time >= 24) {
-        setError('Time must be between 0 and 23.99 hours');
-        return false;
-      }
-      if (intake.amount <= 0 || intake.amount > 1000) {
-        setError('Caffeine amount must be between 1 and 1000 mg');
-        return false;
-      }
+  const updateIntake = (index, field, value) => {
+    replaceIntake(index, { ...intakes[index], [field]: value }, `${field}-${index}`);
+  };
+
+  // Date and time are edited separately but stored as one timestamp.
+  const updateMoment = (index, changes) => {
+    const { date, time } = { ...splitTimestamp(intakes[index].at), ...changes };
+    updateIntake(index, 'at', toTimestamp(date, time));
+  };
+
+  const selectDrink = (index, id) => {
+    if (id === NEW_DRINK) {
+      setManagingDrinks(true);
+      return;
+    }
+    if (id.startsWith(SUBSTANCE_OPTION)) {
+      const intake = intakes[index];
+      const substance = findSubstance(id.slice(SUBSTANCE_OPTION.length));
+      const amount = substanceId(intake) === substance.id ? intake.amount : substance.defaultAmount;
+      replaceIntake(index, { at: intake.at, amount, substance: substance.id });
+      return;
     }
-    setError('');
-    return true;
+    replaceIntake(index, withDrink(intakes[index], findDrink(drinks, id)));
   };
 
+  const updateServings = (index, servings) => {
+    const intake = intakes[index];
+    replaceIntake(index, { ...intake, servings, amount: Math.round(intake.caffeine * servings) }, `servings-${index}`);
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(shareUrl(intakes, settings));
+      setCopyStatus('copied');
+    } catch {
+      setCopyStatus('failed');
+    }
+    setTimeout(() => setCopyStatus(null), 2000);
+  };
+
+  const importIntakes = (imported, replace) => {
+    setIntakes(replace ? imported : [...intakes, ...imported]);
+  };
+
+  const logSchedule = () => {
+    setHistory(logIntakes(history, intakes));
+  };
+
+  const openHistoryDay = (date) => {
+    setIntakes(dayWithCarryOver(history, date));
+  };
+
+  const removeHistoryDay = (date) => {
+    setHistory(removeDay(history, date));
+  };
+
+  const saveSchedule = (name) => {
+    setSchedules([...schedules, createSchedule(name, intakes, settings)]);
+  };
+
+  const loadSchedule = (id) => {
+    const schedule = schedules.find((s) => s.id === id);
+    const loaded = scheduleForToday(schedule);
+    loadedSettings.current.set(loaded, { settings: schedule.settings, replaced: settings });
+    setIntakes(loaded);
+    setSettings(schedule.settings);
+  };
+
+  const renameSchedule = (id, name) => {
+    setSchedules(schedules.map((s) => (s.id === id ? { ...s, name } : s)));
+  };
+
+  const deleteSchedule = (id) => {
+    setSchedules(schedules.filter((s) => s.id !== id));
+    setCompareIds(compareIds.filter((compareId) => compareId !== id));
+  };
+
+  const toggleCompare = (id) => {
+    setCompareIds(compareIds.includes(id) ? compareIds.filter((compareId) => compareId !== id) : [...compareIds, id]);
+  };
+
+  const validateIntakes = () => {
+    const message = checkIntakes(intakes) ?? checkSettings(settings);
+    setError(message ?? '');
+    return !message;
+  };
+
+  // The window ends on the day of the latest intake, so earlier days show
+  // how a habit builds up and anything drunk before the window carries over.
+  const lastDate = useMemo(() => {
+    const last = sortIntakes(intakes).pop();
+    return last ? intakeDate(last) : today();
+  }, [intakes]);
+  const startDate = addDays(lastDate, 1 - viewDays);
+
+  // Bedtimes before noon are taken to be after midnight.
+  const bedtimeOnTimeline = hoursFrom(startDate, lastDate, bedtime) + (bedtime < 12 ? HOURS_PER_DAY : 0);
+  const endTime = Math.max(viewDays * HOURS_PER_DAY, Math.ceil(bedtimeOnTimeline) + 1);
+
+  const params = useMemo(() => modelParams(settings), [settings]);
+  // Every intake keeps its index in the table so chart edits find their row.
+  // The sleep target, planner and comparisons only ever look at caffeine.
+  const placed = useMemo(
+    () => toTimeline(intakes, startDate).map((intake, index) => ({ ...intake, index })),
+    [intakes, startDate]
+  );
+  const timeline = useMemo(() => placed.filter((intake) => substanceId(intake) === CAFFEINE), [placed]);
+  const shownTimeline = useMemo(() => placed.filter((intake) => substanceId(intake) === shown.id), [placed, shown.id]);
+  const shownParams = useMemo(() => substanceParams(settings, shown.id), [settings, shown.id]);
+  const seriesKey = shown.id;
+  // Only caffeine is converted to the chosen unit; the rest stay in their own.
+  const toShown = (level) => (showingCaffeine ? toUnit(level, settings) : level);
+
+  // Scenarios are lined up so their last day falls on the current last day.
+  const scenarioTimelines = useMemo(
+    () => scenarios.map(({ key, schedule }) => ({ key, timeline: toTimeline(intakesOf(alignIntakes(schedule.intakes, lastDate), CAFFEINE), startDate) })),
+    [scenarios, lastDate, startDate]
+  );
+
+  // Each intake's own curve for the breakdown, oldest at the bottom of the
+  // stack. Curves cleared at a fixed rate do not add up, so alcohol has none.
+  const contributions = useMemo(
+    () => (breakingDown && shownParams.elimination !== ELIMINATION.ZERO_ORDER ? sortIntakes(shownTimeline) : []).map((intake, index) => ({
+      key: `intake-${index}`,
+      intake,
+      color: INTAKE_COLORS[index % INTAKE_COLORS.length],
+    })),
+    [breakingDown, shownTimeline, shownParams]
+  );
+
+  // What caffeine is broken down into, drawn next to caffeine itself.
+  const metabolites = useMemo(
+    () => (showingMetabolites && showingCaffeine ? METABOLITES : []).map((metabolite, index) => ({
+      key: `metabolite-${metabolite.id}`,
+      metabolite,
+      color: METABOLITE_COLORS[index % METABOLITE_COLORS.length],
+    })),
+    [showingMetabolites, showingCaffeine]
+  );
+
   const chartData = useMemo(() => {
     if (!validateIntakes()) return [];
 
-    const sortedIntakes = [...intakes].sort((a, b) => a.time - b.time);
-    const startTime = sortedIntakes[0].time;
-
-    const data = Array.from({ length: TOTAL_DURATION * 60 }, (_, minute) => ({
-      time: (startTime + minute / 60) % 24,
-      caffeine: 0
-    }));
-
-    sortedIntakes.forEach(intake => {
-      const intakeMinute = Math.round((intake.time - startTime + 24) % 24 * 60);
-      for (let minute = 0; minute < TOTAL_DURATION * 60; minute++) {
-        const timeSinceIntake = (minute - intakeMinute + TOTAL_DURATION * 60) % (TOTAL_DURATION * 60) / 60;
-        if (timeSinceIntake >= 0) {
-          data[minute].caffeine += intake.amount * Math.pow(0.5, timeSinceIntake / CAFFEINE_HALF_LIFE);
-        }
-      }
+    const resolution = viewDays / 60; // keeps every window at 1440 points
+    const round = showingCaffeine
+      ? (level) => roundLevel(toUnit(level, settings), unit)
+      : (level) => Math.round(level * 100) / 100;
+    const data = curve(shownTimeline, [0, endTime], resolution, shownParams)
+      .map(({ time, level }) => ({ time, [seriesKey]: round(level) }));
+    scenarioTimelines.forEach(({ key, timeline: scenarioTimeline }) => {
+      curve(scenarioTimeline, [0, endTime], resolution, params)
+        .forEach(({ level }, i) => { data[i][key] = round(level); });
+    });
+    contributions.forEach(({ key, intake }) => {
+      curve([intake], [0, endTime], resolution, shownParams)
+        .forEach(({ level }, i) => { data[i][key] = round(level); });
+    });
+    metabolites.forEach(({ key, metabolite }) => {
+      metaboliteCurve(timeline, [0, endTime], metabolite, resolution, params)
+        .forEach(({ level }, i) => { data[i][key] = roundLevel(toUnit(level, settings, metabolite.molarMass), unit); });
     });
-
     return data;
-  }, [intakes]);
+  }, [intakes, settings, timeline, shownTimeline, scenarioTimelines, contributions, metabolites, endTime, viewDays, params, shownParams, seriesKey, showingCaffeine, unit]);
 
-  const formatXAxis = (time) => {
-    const hours = Math.floor(time);
-    return `${hours.toString().padStart(2, '0')}:00`;
+  const isValid = chartData.length > 0;
+  const bedtimeLevel = isValid ? levelAt(timeline, bedtimeOnTimeline, params) : null;
+  const clearsAt = useMemo(
+    () => (isValid ? clearTime(timeline, sleepThreshold, params) : null),
+    [isValid, timeline, sleepThreshold, params]
+  );
+  const missesTarget = bedtimeLevel !== null && bedtimeLevel >= sleepThreshold;
+  const summary = useMemo(
+    () => (isValid ? daySummary(timeline, hoursFrom(startDate, lastDate, 0), params, settings) : null),
+    [isValid, timeline, startDate, lastDate, params, settings]
+  );
+
+  const rules = useMemo(() => limitRules(settings), [settings]);
+  const warnings = useMemo(() => {
+    if (!isValid) return [];
+    return substancesInUse.flatMap((substance) => (substance.id === CAFFEINE
+      ? checkLimits(intakesOf(intakes, CAFFEINE), rules, clock)
+      : checkLimits(intakesOf(intakes, substance.id), substanceRules(substance), clock, substance.unit)));
+  }, [isValid, intakes, substancesInUse, rules, clock]);
+
+  const target = useMemo(
+    () => ({ time: bedtimeOnTimeline, threshold: sleepThreshold }),
+    [bedtimeOnTimeline, sleepThreshold]
+  );
+  const plan = useMemo(() => {
+    if (!isValid || !planning) return null;
+    const dayStart = hoursFrom(startDate, lastDate, 0);
+    return {
+      latest: latestDoseTime(timeline, planAmount, target, params, dayStart),
+      maxDose: maxDoseAt(timeline, hoursFrom(startDate, lastDate, planTime), target, params),
+    };
+  }, [isValid, planning, timeline, planAmount, planTime, target, params, startDate, lastDate]);
+
+  // Latest time on the last day a standard drink still clears the sleep
+  // target, for the calendar export.
+  const lastCall = useMemo(() => {
+    if (!isValid) return null;
+    const latest = latestDoseTime(timeline, STANDARD_DRINK.caffeine, target, params, hoursFrom(startDate, lastDate, 0));
+    return latest === null ? null : toTimestamp(startDate, Math.floor(latest / MINUTE) * MINUTE);
+  }, [isValid, timeline, target, params, startDate, lastDate]);
+
+  useEffect(() => {
+    if (!reminders.enabled) return;
+    const timer = setInterval(() => setNow(Date.now()), 5 * 60 * 1000);
+    return () => clearInterval(timer);
+  }, [reminders.enabled]);
+
+  const upcoming = useMemo(() => {
+    if (!isValid || !reminders.enabled) return [];
+    return upcomingReminders(timeline, params, { now: onTimeline(startDate, new Date(now)), amount: STANDARD_DRINK.caffeine, target, reminders });
+  }, [isValid, reminders, timeline, params, target, startDate, now]);
+
+  const toggleReminders = async () => {
+    if (reminders.enabled) {
+      setReminders({ ...reminders, enabled: false });
+      return;
+    }
+    const result = await requestNotifications();
+    setPermission(result);
+    if (result === 'granted') setReminders({ ...reminders, enabled: true });
   };
 
-  const startTime = useMemo(() => {
-    const sortedIntakes = [...intakes].sort((a, b) => a.time - b.time);
-    return sortedIntakes[0].time;
-  }, [intakes]);
+  const addPlannedIntake = () => {
+    const at = toTimestamp(startDate, Math.floor(plan.latest / MINUTE) * MINUTE);
+    setIntakes([...intakes, { at, amount: planAmount }]);
+  };
+
+  const showLevel = (mg) => formatLevel(mg, settings);
+
+  const formatMoment = (hours) => {
+    const { date, time } = fromTimeline(startDate, hours);
+    return date === lastDate ? formatClock(time, clock) : `${formatClock(time, clock)} (${formatDay(date)})`;
+  };
+
+  // Shows the hovered time and the drink most recently taken before it.
+  const formatTooltipLabel = (_, payload) => {
+    const time = payload[0]?.payload.time;
+    if (time === undefined) return null;
+    const last = sortIntakes(shownTimeline).filter((intake) => intake.time <= time).pop();
+    return last ? `${formatMoment(time)} · after ${intakeLabel(last)}` : formatMoment(time);
+  };
+
+  // Edits made on the chart. Intakes stay within the days shown, so the
+  // window does not move under the pointer while dragging.
+  const clampToWindow = (time) => Math.min(Math.max(time, 0), viewDays * HOURS_PER_DAY - MINUTE);
+
+  // The new intake is of whatever the chart shows, like the latest one of it.
+  const addIntakeAt = (time) => {
+    const same = intakesOf(intakes, shown.id);
+    const template = same[same.length - 1] ?? { amount: shown.defaultAmount, substance: shown.id };
+    const at = toTimestamp(startDate, clampToWindow(Math.round(time / (5 * MINUTE)) * 5 * MINUTE));
+    setIntakes([...intakes, { ...template, at }]);
+  };
+
+  const moveIntake = (index, { time, amount }) => {
+    replaceIntake(index, withAmount({ ...intakes[index], at: toTimestamp(startDate, clampToWindow(time)) }, amount), `move-${index}`);
+  };
+
+  const markers = isValid
+    ? shownTimeline.map((intake) => ({
+      index: intake.index,
+      time: intake.time,
+      level: toShown(levelAt(shownTimeline, intake.time, shownParams)),
+      amount: intake.amount,
+      amountStep: intake.name ? intake.caffeine / 2 : substanceOf(intake).step,
+      removable: intake.index !== 0,
+      label: `${intakeLabel(intake)} at ${formatMoment(intake.time)}`,
+    }))
+    : [];
+
+  const chartConfig = {
+    [seriesKey]: {
+      label: scenarios.length ? "Current schedule" : contributions.length ? "Total" : shown.name,
+      color: "hsl(var(--chart-3))",
+    },
+    ...Object.fromEntries(scenarios.map(({ key, schedule, color }) => [key, { label: schedule.name, color }])),
+    ...Object.fromEntries(metabolites.map(({ key, metabolite, color }) => [key, { label: metabolite.name, color }])),
+    ...Object.fromEntries(contributions.map(({ key, intake, color }) => [
+      key,
+      { label: `${intakeLabel(intake)} at ${formatMoment(intake.time)}`, color },
+    ])),
+    threshold: {
+      label: "Sleep threshold",
+      color: "hsl(var(--chart-2))",
+    },
+    bedtime: {
+      label: "Bedtime",
+      color: "hsl(var(--chart-1))",
+    },
+  }
+
+  // Tooltip rows for the breakdown: each drink's level and its share of the
+  // total. Drinks not yet taken or long gone are left out of the tooltip.
+  const formatContribution = (value, name, item, index, point) => (
+    <>
+      <div className="h-2.5 w-2.5 shrink-0 rounded-[2px]" style={{ backgroundColor: item.color }} />
+      <div className="flex flex-1 items-center justify-between gap-2 leading-none">
+        <span className="text-muted-foreground">{chartConfig[name]?.label ?? name}</span>
+        <span className="font-mono font-medium tabular-nums text-foreground">
+          {value.toLocaleString()}
+          {name.startsWith('intake-') && point[seriesKey] > 0 && ` (${Math.round((value / point[seriesKey]) * 100)}%)`}
+        </span>
+      </div>
+    </>
+  );
+
+  // Midnights are labelled with their day once more than one day is shown.
+  const formatTick = (time) => {
+    if (viewDays > 1 && time % HOURS_PER_DAY === 0) return formatDay(addDays(startDate, time / HOURS_PER_DAY));
+    return formatClock(time, clock);
+  };
+
+  const summaryFigures = summary && {
+    peak: showLevel(summary.peak.level),
+    peakTime: formatMoment(summary.peak.time),
+    total: `${Math.round(summary.total)} mg`,
+    area: `${showLevel(summary.area)}·h`,
+    timeAbove: formatDuration(summary.timeAbove),
+    checkLevel: showLevel(summary.checkLevel),
+    freeAt: summary.freeAt !== null ? formatMoment(summary.freeAt) : null,
+  };
+
+  const reminderMessage = ({ kind, time }) => {
+    const drink = STANDARD_DRINK.name.toLowerCase();
+    if (kind === REMINDER.REFILL) {
+      return {
+        title: `Room for another ${drink}`,
+        body: `Caffeine is down to ${showLevel(reminders.refillLevel)}, and a ${drink} now still leaves you below ${showLevel(sleepThreshold)} at bedtime.`,
+      };
+    }
+    if (kind === REMINDER.LAST_CALL) {
+      return {
+        title: 'Last call for caffeine',
+        body: `A ${drink} after ${formatMoment(time + reminders.lastCallLead / 60)} keeps you above ${showLevel(sleepThreshold)} at bedtime.`,
+      };
+    }
+    return { title: 'Caffeine below your sleep threshold', body: `You are now below ${showLevel(sleepThreshold)}.` };
+  };
+
+  // Timers read the wording when they fire, so it follows the latest settings.
+  const describeReminder = useRef(reminderMessage);
+  useEffect(() => {
+    describeReminder.current = reminderMessage;
+  });
+
+  // Each reminder is shown once, even if the schedule changes around it.
+  useEffect(() => {
+    if (permission !== 'granted') return;
+    // `now` only moves every few minutes, so delays are counted from the clock.
+    const nowOnTimeline = onTimeline(startDate, new Date());
+    const timers = upcoming.filter(({ id }) => !notified.current.has(id)).map((reminder) => setTimeout(() => {
+      notified.current.add(reminder.id);
+      const { title, body } = describeReminder.current(reminder);
+      notify(title, body, reminder.id);
+      setNow(Date.now());
+    }, Math.max((reminder.time - nowOnTimeline) * 60 * 60 * 1000, 0)));
+    return () => timers.forEach(clearTimeout);
+  }, [upcoming, permission, startDate]);
+
+  const tickStep = viewDays === 1 ? 4 : viewDays <= 3 ? 12 : 24; // hours
+  const ticks = Array.from({ length: Math.ceil(endTime / tickStep) }, (_, i) => i * tickStep);
 
   return (
     <div className="flex flex-col min-h-screen items-center grid grid-cols-1" >
-      <Card className="w-full max-w-2xl mx-auto p-10 pt-6">
-        <CardHeader className="px-0">
+      <Card className="w-full max-w-2xl mx-auto p-10 pt-6 print:hidden">
+        <CardHeader className="px-0 flex-row items-center justify-between space-y-0">
           <CardTitle>☕ Caffeine Half-Life</CardTitle>
+          <div className="flex flex-wrap justify-end gap-1">
+            <Button variant="ghost" size="sm" onClick={copyLink} disabled={Boolean(error)} className="gap-2">
+              {copyStatus === 'copied' ? <Check className="h-4 w-4" /> : <Link className="h-4 w-4" />}
+              {copyStatus === 'copied' ? 'Copied' : copyStatus === 'failed' ? 'Copy failed' : 'Copy link'}
+            </Button>
+            <Button variant="ghost" size="sm" onClick={() => setShowingHistory(!showingHistory)} className="gap-2">
+              <CalendarDays className="h-4 w-4" />
+              History
+            </Button>
+            <Button variant="ghost" size="sm" onClick={() => setTransferring(!transferring)} className="gap-2">
+              <ArrowDownUp className="h-4 w-4" />
+              Import/Export
+            </Button>
+            <Button variant="ghost" size="sm" onClick={() => setShowingSchedules(!showingSchedules)} className="gap-2">
+              <FolderOpen className="h-4 w-4" />
+              Schedules
+            </Button>
+            <Button variant="ghost" size="sm" onClick={() => setShowingReminders(!showingReminders)} className="gap-2">
+              <Bell className="h-4 w-4" />
+              Reminders
+            </Button>
+            <Button variant="ghost" size="sm" onClick={() => window.print()} disabled={Boolean(error)} className="gap-2">
+              <Printer className="h-4 w-4" />
+              Print
+            </Button>
+          </div>
         </CardHeader>
         <CardContent className="px-0">
           <div className="text-sm text-gray-600 mb-6">
             <p>
-              The half-life of caffeine is approximately 5 hours. This means that every 5 hours,
-              the amount of caffeine in your body reduces by half. The chart below shows how the
-              caffeine level changes over a 24-hour period starting from your first intake.
+              The half-life of caffeine is approximately 5 hours, but it varies a lot from person
+              to person. With your profile it is about {formatHours(halfLife)} hours. This means that
+              every {formatHours(halfLife)} hours, the amount of caffeine in your body reduces by half.
+              The chart below shows how the caffeine level changes over one or more days, including
+              whatever is left over from the days before.
+              Caffeine is not absorbed all at once, so each drink rises to a peak, usually
+              30 to 60 minutes later, before it starts to fall.
+              Theobromine, nicotine, L-theanine and alcohol can be tracked too: pick them at the
+              bottom of the drink list and choose which one the chart shows.
             </p>
           </div>
 
+          {ownSchedule && (
+            <Alert className="mb-6">
+              <AlertDescription className="flex flex-wrap items-center gap-2">
+                <span className="mr-auto">This is a shared schedule. Your own is still saved until you keep this one.</span>
+                <Button variant="outline" size="sm" onClick={keepShared}>Keep it</Button>
+                <Button variant="ghost" size="sm" onClick={backToOwn}>Go back to mine</Button>
+              </AlertDescription>
+            </Alert>
+          )}
+
+          {badShare && (
+            <Alert className="mb-6">
+              <AlertDescription className="flex items-center gap-2">
+                <span className="mr-auto">This shared link could not be read, so your own schedule is shown instead.</span>
+                <Button variant="ghost" size="sm" onClick={() => setBadShare(false)}>Dismiss</Button>
+              </AlertDescription>
+            </Alert>
+          )}
+
+          {showingHistory && (
+            <HistoryPanel
+              history={history}
+              params={params}
+              bedtime={bedtime}
+              clock={clock}
+              selectedDate={lastDate}
+              canLog={!error}
+              onLog={logSchedule}
+              onOpenDay={openHistoryDay}
+              onRemoveDay={removeHistoryDay}
+              onClose={() => setShowingHistory(false)}
+            />
+          )}
+
+          {transferring && (
+            <ImportExportPanel
+              intakes={intakes}
+              history={history}
+              clock={clock}
+              chartData={chartData}
+              startDate={startDate}
+              series={{
+                [seriesKey]: showingCaffeine ? `caffeine_${UNIT_SUFFIXES[unit]}` : `${shown.id}_${shown.unit}`,
+                ...Object.fromEntries(scenarios.map(({ key, schedule }) => [key, `${schedule.name} (${unit})`])),
+                ...Object.fromEntries(metabolites.map(({ key, metabolite }) => [key, `${metabolite.id}_${UNIT_SUFFIXES[unit]}`])),
+              }}
+              drinks={drinks}
+              getChart={renderChart}
+              lastCall={lastCall && {
+                at: lastCall,
+                description: `A ${STANDARD_DRINK.name.toLowerCase()} after this keeps you above ${showLevel(sleepThreshold)} at bedtime.`,
+              }}
+              onImport={importIntakes}
+              onAddToHistory={(imported) => setHistory(addToHistory(history, imported))}
+              onClose={() => setTransferring(false)}
+            />
+          )}
+
+          {showingReminders && (
+            <RemindersPanel
+              reminders={reminders}
+              permission={permission}
+              supported={notificationsSupported()}
+              drinkName={STANDARD_DRINK.name}
+              unit={unit}
+              refillLevel={roundLevel(toUnit(reminders.refillLevel, settings), unit)}
+              upcoming={upcoming.map((reminder) => ({
+                id: reminder.id,
+                title: reminderMessage(reminder).title,
+                when: formatMoment(reminder.time),
+              }))}
+              onToggle={toggleReminders}
+              onChange={setReminders}
+              onRefillLevelChange={(value) => setReminders({ ...reminders, refillLevel: fromUnit(value, settings) })}
+              onClose={() => setShowingReminders(false)}
+            />
+          )}
+
+          {showingSchedules && (
+            <SchedulesPanel
+              schedules={schedules}
+              canSave={!error}
+              onSave={saveSchedule}
+              onLoad={loadSchedule}
+              onRename={renameSchedule}
+              onDelete={deleteSchedule}
+              onClose={() => setShowingSchedules(false)}
+            />
+          )}
+
+          <ProfilePanel profile={profile} onChange={(value) => updateSetting('profile', value)} />
+
+          <LimitsPanel settings={settings} rules={rules} onChange={setSettings} />
+
+          <SleepPanel
+            bedtime={bedtime}
+            threshold={roundLevel(toUnit(sleepThreshold, settings), unit)}
+            unit={unit}
+            bedtimeLabel={bedtimeLevel !== null ? showLevel(bedtimeLevel) : null}
+            clearLabel={clearsAt !== null ? formatMoment(clearsAt) : null}
+            onBedtimeChange={(value) => updateSetting('bedtime', value)}
+            onThresholdChange={(value) => updateSetting('sleepThreshold', fromUnit(value, settings))}
+          />
+
+          <div className="flex flex-wrap items-center gap-2 mb-6 text-sm">
+            <span className="text-gray-600">Absorption:</span>
+            <Button
+              variant={absorption === ABSORPTION.FIRST_ORDER ? "default" : "outline"}
+              size="sm"
+              onClick={() => updateSetting('absorption', ABSORPTION.FIRST_ORDER)}
+            >
+              Gradual
+            </Button>
+            <Button
+              variant={absorption === ABSORPTION.INSTANT ? "default" : "outline"}
+              size="sm"
+              onClick={() => updateSetting('absorption', ABSORPTION.INSTANT)}
+            >
+              Instant
+            </Button>
+            {absorption === ABSORPTION.FIRST_ORDER && (
+              <label className="flex items-center gap-2 ml-auto text-gray-600">
+                Peaks after
+                <Input
+                  type="number"
+                  value={timeToPeak}
+                  onChange={(e) => updateSetting('timeToPeak', Number(e.target.value))}
+                  min="1"
+                  max="240"
+                  className="w-20 h-9"
+                />
+                min
+              </label>
+            )}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2 mb-6 text-sm">
+            <span className="text-gray-600">Show levels in:</span>
+            {Object.values(UNIT).map((option) => (
+              <Button
+                key={option}
+                variant={unit === option ? "default" : "outline"}
+                size="sm"
+                onClick={() => updateSetting('unit', option)}
+                disabled={isConcentration(option) && settings.weight === null}
+                title={isConcentration(option) && settings.weight === null ? 'Enter your body weight under Limits first' : undefined}
+              >
+                {option}
+              </Button>
+            ))}
+            {isConcentration(unit) && (
+              <label className="flex items-center gap-2 ml-auto text-gray-600">
+                Distributed over
+                <Input
+                  type="number"
+                  value={volumeOfDistribution}
+                  onChange={(e) => updateSetting('volumeOfDistribution', Number(e.target.value))}
+                  min={MIN_VOLUME_OF_DISTRIBUTION}
+                  max={MAX_VOLUME_OF_DISTRIBUTION}
+                  step="0.05"
+                  className="w-20 h-9"
+                />
+                L/kg
+              </label>
+            )}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2 mb-6 text-sm">
+            <span className="text-gray-600">Clock:</span>
+            {Object.values(CLOCK).map((option) => (
+              <Button
+                key={option}
+                variant={clock === option ? "default" : "outline"}
+                size="sm"
+                onClick={() => updateSetting('clock', option)}
+              >
+                {CLOCK_LABELS[option]}
+              </Button>
+            ))}
+          </div>
+
           <Table className="mb-4">
             <TableHeader>
               <TableRow>
-                <TableHead className="w-1/3">Time (HH:MM)</TableHead>
-                <TableHead className="w-1/3">Caffeine Amount (mg)</TableHead>
+                <TableHead>Date</TableHead>
+                <TableHead>Time</TableHead>
+                <TableHead>Drink</TableHead>
+                <TableHead>Amount</TableHead>
               </TableRow>
             </TableHeader>
             <TableBody>
@@ -116,25 +863,78 @@ const CaffeineHalfLifeApp = () => {
                 <TableRow key={index}>
                   <TableCell>
                     <Input
-                      type="time"
-                      value={formatXAxis(intake.time)}
-                      onChange={(e) => {
-                        const [hours, minutes] = e.target.value.split(':');
-                        const time = Number(hours) + Number(minutes) / 60;
-                        updateIntake(index, 'time', time);
-                      }}
-                      step="60"
+                      type="date"
+                      value={splitTimestamp(intake.at).date}
+                      onChange={(e) => isISODate(e.target.value) && updateMoment(index, { date: e.target.value })}
                     />
                   </TableCell>
                   <TableCell>
                     <Input
-                      type="number"
-                      value={intake.amount}
-                      onChange={(e) => updateIntake(index, 'amount', e.target.value)}
-                      min="1"
-                      max="1000"
+                      type="time"
+                      value={formatTimeOfDay(splitTimestamp(intake.at).time)}
+                      onChange={(e) => e.target.value && updateMoment(index, { time: parseTimeOfDay(e.target.value) })}
+                      step="60"
                     />
                   </TableCell>
+                  <TableCell>
+                    <NativeSelect
+                      value={intake.name ? intake.drinkId : intake.substance ? `${SUBSTANCE_OPTION}${intake.substance}` : ''}
+                      onChange={(e) => selectDrink(index, e.target.value)}
+                      title={intakeLabel(intake)}
+                    >
+                      <optgroup label="Drinks">
+                        {PRESET_DRINKS.map((drink) => (
+                          <option key={drink.id} value={drink.id}>{drink.name} ({drink.caffeine} mg)</option>
+                        ))}
+                      </optgroup>
+                      {customDrinks.length > 0 && (
+                        <optgroup label="Your drinks">
+                          {customDrinks.map((drink) => (
+                            <option key={drink.id} value={drink.id}>{drink.name} ({drink.caffeine} mg)</option>
+                          ))}
+                        </optgroup>
+                      )}
+                      {intake.drinkId && !findDrink(drinks, intake.drinkId) && (
+                        <option value={intake.drinkId}>{intake.name} ({intake.caffeine} mg)</option>
+                      )}
+                      <option value="">Other (mg)</option>
+                      <option value={NEW_DRINK}>Add a drink…</option>
+                      <optgroup label="Other substances">
+                        {SUBSTANCES.filter(({ id }) => id !== CAFFEINE).map((substance) => (
+                          <option key={substance.id} value={`${SUBSTANCE_OPTION}${substance.id}`} title={`From ${substance.source}`}>
+                            {substance.name} ({substance.unit})
+                          </option>
+                        ))}
+                      </optgroup>
+                    </NativeSelect>
+                  </TableCell>
+                  <TableCell>
+                    {intake.name ? (
+                      <label className="flex items-center gap-2 whitespace-nowrap">
+                        <Input
+                          type="number"
+                          value={intake.servings}
+                          onChange={(e) => updateServings(index, Number(e.target.value))}
+                          min="0.5"
+                          max={MAX_SERVINGS}
+                          step="0.5"
+                          className="w-20"
+                          aria-label="Servings"
+                        />
+                        × = {intake.amount} mg
+                      </label>
+                    ) : (
+                      <Input
+                        type="number"
+                        value={intake.amount}
+                        onChange={(e) => updateIntake(index, 'amount', Number(e.target.value))}
+                        min={substanceOf(intake).step}
+                        max="1000"
+                        step={substanceOf(intake).step}
+                        aria-label={`${substanceOf(intake).name} amount (${substanceOf(intake).unit})`}
+                      />
+                    )}
+                  </TableCell>
                   <TableCell>
                     <div className='grid grid-cols-2'>
                       <div></div>
@@ -150,51 +950,287 @@ const CaffeineHalfLifeApp = () => {
             </TableBody>
             <TableFooter>
               <TableRow>
-                <TableCell colSpan={3} className="text-center p-0">
-                  <Button variant="ghost" onClick={addIntake} className="w-full">
-                    <Plus className="h-4 w-4" />
-                  </Button>
+                <TableCell colSpan={5} className="text-center p-0">
+                  <div className="flex">
+                    <Button variant="ghost" onClick={addIntake} className="flex-1">
+                      <Plus className="h-4 w-4" />
+                    </Button>
+                    <Button variant="ghost" onClick={() => setPlanning(!planning)} className="flex-1 gap-2">
+                      <Clock className="h-4 w-4" />
+                      Plan next drink
+                    </Button>
+                    <Button variant="ghost" onClick={() => stepEdits.current(undo)} disabled={!edits.past.length} aria-label="Undo" title="Undo (Ctrl+Z)">
+                      <Undo2 className="h-4 w-4" />
+                    </Button>
+                    <Button variant="ghost" onClick={() => stepEdits.current(redo)} disabled={!edits.future.length} aria-label="Redo" title="Redo (Ctrl+Shift+Z)">
+                      <Redo2 className="h-4 w-4" />
+                    </Button>
+                  </div>
                 </TableCell>
               </TableRow>
             </TableFooter>
           </Table>
 
+          {managingDrinks && (
+            <DrinkCatalogPanel
+              drinks={customDrinks}
+              onChange={setCustomDrinks}
+              onClose={() => setManagingDrinks(false)}
+            />
+          )}
+
+          {plan && (
+            <PlanPanel
+              threshold={showLevel(sleepThreshold)}
+              latestTime={plan.latest !== null ? formatMoment(plan.latest) : null}
+              maxDose={plan.maxDose}
+              amount={planAmount}
+              time={planTime}
+              onAmountChange={setPlanAmount}
+              onTimeChange={setPlanTime}
+              onAdd={addPlannedIntake}
+              onClose={() => setPlanning(false)}
+            />
+          )}
+
 
           {error && <Alert variant="destructive" className="mb-6"><AlertDescription>{error}</AlertDescription></Alert>}
+          {warnings.map(({ level, rule, message }) => {
+            const { variant, Icon } = WARNING_STYLES[level];
+            return (
+              <Alert key={message} variant={variant} className="mb-6">
+                <Icon className="h-4 w-4" />
+                <AlertTitle>{rule}</AlertTitle>
+                <AlertDescription>{message}</AlertDescription>
+              </Alert>
+            );
+          })}
+          {missesTarget && (
+            <Alert className="mb-6">
+              <AlertDescription>
+                This schedule misses your sleep target: you will be at {showLevel(bedtimeLevel)} at
+                bedtime ({formatClock(bedtime, clock)}) and only drop below {showLevel(sleepThreshold)}
+                at {formatMoment(clearsAt)}.
+              </AlertDescription>
+            </Alert>
+          )}
+
+          <div className="flex items-center justify-end gap-2 mb-2 text-sm">
+            <Button
+              variant={comparing ? "default" : "outline"}
+              size="sm"
+              onClick={() => setComparing(!comparing)}
+              className="gap-2"
+            >
+              <Layers className="h-4 w-4" />
+              Compare
+            </Button>
+            <Button
+              variant={breakingDown ? "default" : "outline"}
+              size="sm"
+              onClick={() => setBreakingDown(!breakingDown)}
+              className="gap-2"
+            >
+              <AreaChartIcon className="h-4 w-4" />
+              Breakdown
+            </Button>
+            <Button
+              variant={showingMetabolites ? "default" : "outline"}
+              size="sm"
+              onClick={() => setShowingMetabolites(!showingMetabolites)}
+              disabled={!showingCaffeine}
+              className="gap-2"
+            >
+              <FlaskConical className="h-4 w-4" />
+              Metabolites
+            </Button>
+            {substancesInUse.length > 1 && (
+              <NativeSelect
+                value={shown.id}
+                onChange={(e) => setViewed(e.target.value)}
+                className="h-9 w-auto"
+                aria-label="Substance shown on the chart"
+              >
+                {substancesInUse.map((substance) => (
+                  <option key={substance.id} value={substance.id}>{substance.name}</option>
+                ))}
+              </NativeSelect>
+            )}
+            <span className="text-gray-600 ml-auto">Show:</span>
+            {VIEW_DAYS.map((days) => (
+              <Button
+                key={days}
+                variant={viewDays === days ? "default" : "outline"}
+                size="sm"
+                onClick={() => updateSetting('viewDays', days)}
+              >
+                {days === 1 ? '1 day' : `${days} days`}
+              </Button>
+            ))}
+          </div>
 
-          <div className="w-full">
+          {comparing && (
+            <ComparePanel
+              schedules={schedules}
+              selectedIds={compareIds}
+              colors={Object.fromEntries(scenarios.map(({ schedule, color }) => [schedule.id, color]))}
+              onToggle={toggleCompare}
+              onClose={() => setComparing(false)}
+            />
+          )}
+
+          <div className="w-full" ref={chartRef}>
             <ChartContainer config={chartConfig}>
               <ResponsiveContainer width="100%" height="100%">
-                <LineChart data={chartData} margin={{ top: 20, right: 30, left: 20, bottom: 20 }}>
+                <ComposedChart
+                  data={chartData}
+                  margin={{ top: 20, right: 30, left: 20, bottom: 20 }}
+                  onClick={(state) => state?.activeLabel !== undefined && addIntakeAt(state.activeLabel)}
+                  className="cursor-crosshair"
+                >
                   <CartesianGrid strokeDasharray="3 3" />
                   <XAxis
                     dataKey="time"
-                    tickFormatter={formatXAxis}
-                    ticks={[
-                      startTime,
-                      (startTime + 4) % 24,
-                      (startTime + 8) % 24,
-                      (startTime + 12) % 24,
-                      (startTime + 16) % 24,
-                      (startTime + 20) % 24
-                    ]}
+                    tickFormatter={formatTick}
+                    type="number"
+                    ticks={ticks}
                     tickMargin={8}
-                    domain={[startTime, (startTime + 24) % 24]}
-                    label={{ value: 'Time (HH:MM)', position: 'insideBottom', offset: -10 }}
+                    domain={[0, endTime]}
+                    label={{ value: 'Time', position: 'insideBottom', offset: -10 }}
                   />
                   <YAxis
-                    label={{ value: 'Caffeine (mg)', angle: -90, position: 'insideLeft', offset: 10 }}
+                    label={{
+                      value: showingCaffeine ? UNIT_LABELS[unit] : `${shown.name} (${shown.unit})`,
+                      angle: -90,
+                      position: 'insideLeft',
+                      offset: 10,
+                    }}
                     tickMargin={8}
                   />
-                  <ChartTooltip cursor={false} content={<ChartTooltipContent hideLabel />} />
-                  <Line type="linear" dataKey="caffeine" stroke="var(--color-caffeine)" strokeWidth={2} dot={false} />
-                </LineChart>
+                  <ChartTooltip
+                    cursor={false}
+                    content={({ payload, ...props }) => (
+                      <ChartTooltipContent
+                        {...props}
+                        payload={breakingDown ? payload?.filter((item) => !item.name.startsWith('intake-') || item.value > 0) : payload}
+                        labelFormatter={formatTooltipLabel}
+                        formatter={breakingDown ? formatContribution : undefined}
+                      />
+                    )}
+                  />
+                  {showingCaffeine && (
+                    <ReferenceLine
+                      y={toUnit(sleepThreshold, settings)}
+                      stroke="var(--color-threshold)"
+                      strokeDasharray="4 4"
+                      label={{ value: showLevel(sleepThreshold), position: 'insideTopRight', fill: 'var(--color-threshold)' }}
+                    />
+                  )}
+                  <ReferenceLine
+                    x={bedtimeOnTimeline}
+                    stroke="var(--color-bedtime)"
+                    strokeDasharray="4 4"
+                    label={{ value: 'Bedtime', position: 'insideTopLeft', fill: 'var(--color-bedtime)' }}
+                  />
+                  {contributions.map(({ key }) => (
+                    <Area
+                      key={key}
+                      type="linear"
+                      dataKey={key}
+                      stackId="contributions"
+                      stroke={`var(--color-${key})`}
+                      fill={`var(--color-${key})`}
+                      fillOpacity={0.4}
+                      strokeWidth={1}
+                      isAnimationActive={false}
+                    />
+                  ))}
+                  <Line type="linear" dataKey={seriesKey} stroke={`var(--color-${seriesKey})`} strokeWidth={2} dot={false} />
+                  {scenarios.map(({ key }) => (
+                    <Line key={key} type="linear" dataKey={key} stroke={`var(--color-${key})`} strokeWidth={2} dot={false} />
+                  ))}
+                  {metabolites.map(({ key }) => (
+                    <Line key={key} type="linear" dataKey={key} stroke={`var(--color-${key})`} strokeWidth={2} strokeDasharray="6 3" dot={false} />
+                  ))}
+                  <Customized
+                    component={
+                      <DoseMarkers
+                        markers={markers}
+                        color={`var(--color-${seriesKey})`}
+                        toAmount={(level) => (showingCaffeine ? fromUnit(level, settings) : level)}
+                        onChange={moveIntake}
+                        onRemove={removeIntake}
+                      />
+                    }
+                  />
+                  {(scenarios.length > 0 || metabolites.length > 0) && <ChartLegend content={<ChartLegendContent />} />}
+                </ComposedChart>
               </ResponsiveContainer>
             </ChartContainer>
+            {isValid && metabolites.length > 0 && (
+              <p className="text-sm text-gray-600 mt-2">
+                Caffeine is broken down into paraxanthine, theobromine and theophylline, which are stimulants
+                too and outlast it. At bedtime there is still{' '}
+                {metabolites.map(({ key, metabolite }, index) => (
+                  <span key={key}>
+                    {index > 0 && (index === metabolites.length - 1 ? ' and ' : ', ')}
+                    {formatLevel(metaboliteLevelAt(timeline, bedtimeOnTimeline, metabolite, params), settings, metabolite.molarMass)}{' '}
+                    {metabolite.name.toLowerCase()}
+                  </span>
+                ))}
+                {' '}besides {showLevel(bedtimeLevel)} caffeine.
+              </p>
+            )}
+            {isValid && (
+              <p className="text-sm text-gray-600 mt-2">
+                Click the chart to add a drink at that time. Drag a dot sideways to move it or up and down to
+                change the amount; with a dot focused, the arrow keys do the same and Delete removes it.
+              </p>
+            )}
+            {summary && (
+              <SummaryPanel
+                day={formatDay(lastDate)}
+                summary={summaryFigures}
+                unit={unit}
+                aboveLevel={roundLevel(toUnit(settings.aboveLevel, settings), unit)}
+                checkTime={settings.checkTime}
+                freeLevel={roundLevel(toUnit(settings.freeLevel, settings), unit)}
+                onAboveLevelChange={(value) => updateSetting('aboveLevel', fromUnit(value, settings))}
+                onCheckTimeChange={(value) => updateSetting('checkTime', value)}
+                onFreeLevelChange={(value) => updateSetting('freeLevel', fromUnit(value, settings))}
+              />
+            )}
           </div>
         </CardContent>
       </Card >
-      <footer className="w-full mb-6 pt-10">
+      <ReportView
+        period={viewDays === 1 ? formatDay(lastDate) : `${formatDay(startDate)} – ${formatDay(lastDate)}`}
+        intakes={intakes}
+        clock={clock}
+        chart={printedChart}
+        summary={summaryFigures && [
+          { label: 'Peak', value: `${summaryFigures.peak} at ${summaryFigures.peakTime}` },
+          { label: 'Caffeine taken', value: summaryFigures.total },
+          { label: 'Area under the curve', value: summaryFigures.area },
+          { label: `Time above ${showLevel(settings.aboveLevel)}`, value: summaryFigures.timeAbove },
+          { label: `Level at ${formatClock(settings.checkTime, clock)}`, value: summaryFigures.checkLevel },
+          { label: `Below ${showLevel(settings.freeLevel)} from`, value: summaryFigures.freeAt ?? 'never' },
+        ]}
+        notes={[
+          `Caffeine half-life of about ${formatHours(halfLife)} hours, from the profile.`,
+          ...(bedtimeLevel !== null
+            ? [`${showLevel(bedtimeLevel)} left at bedtime (${formatClock(bedtime, clock)}); the sleep target is below ${showLevel(sleepThreshold)}.`]
+            : []),
+        ]}
+        warnings={warnings}
+      />
+      {removal && removal.intakes === intakes && (
+        <Toast>
+          <ToastDescription>Removed {removal.label}.</ToastDescription>
+          <Button variant="outline" size="sm" onClick={undoRemoval}>Undo</Button>
+        </Toast>
+      )}
+      <footer className="w-full mb-6 pt-10 print:hidden">
         <p className="text-center">
           Made with ❤️ by <a href="https://x.com/mattppal" target='_blank'> Matt</a>
         </p>
@@ -0,0 +1,38 @@
+import { Button } from "@/components/ui/button";
+
+const ComparePanel = ({ schedules, selectedIds, colors, onToggle, onClose }) => {
+  return (
+    <div className="rounded-lg border p-4 mb-4 text-sm">
+      <div className="flex items-center mb-3">
+        <span className="font-medium mr-auto">Compare with</span>
+        <Button variant="ghost" size="sm" onClick={onClose}>Close</Button>
+      </div>
+      {schedules.length > 0 ? (
+        <ul className="grid gap-2">
+          {schedules.map((schedule) => (
+            <li key={schedule.id}>
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={selectedIds.includes(schedule.id)}
+                  onChange={() => onToggle(schedule.id)}
+                />
+                {colors[schedule.id] && (
+                  <span className="h-2.5 w-2.5 rounded-[2px]" style={{ backgroundColor: colors[schedule.id] }} />
+                )}
+                {schedule.name}
+              </label>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-gray-600">
+          Save a variation of your schedule, such as &quot;No afternoon coffee&quot;, under Schedules to compare it here.
+        </p>
+      )}
+      <p className="text-gray-600 mt-3">Scenarios use your current profile and are lined up on the same days.</p>
+    </div>
+  );
+};
+
+export default ComparePanel;
@@ -0,0 +1,84 @@
+import { useRef } from 'react';
+
+const TIME_STEP = 5 / 60; // hours, for dragging and the arrow keys
+const LARGE_TIME_STEP = 1; // hours, arrow keys with Shift
+
+// Draggable dots on the curve, one per intake, drawn inside the chart through
+// recharts' Customized, which passes in the axis scales. Sideways moves an
+// intake in time and up or down changes its amount; the arrow keys do the
+// same for keyboard users. The parent turns changes into intakes.
+const DoseMarkers = ({ xAxisMap, yAxisMap, markers, color, toAmount, onChange, onRemove }) => {
+  const drag = useRef(null);
+  const xScale = Object.values(xAxisMap ?? {})[0]?.scale;
+  const yScale = Object.values(yAxisMap ?? {})[0]?.scale;
+  if (!xScale?.invert || !yScale?.invert) return null;
+
+  // The scales are kept from the start of the drag: the y axis grows with the
+  // amount, and reading the live one would make each pixel worth more and more.
+  const startDrag = (event, marker) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    drag.current = { marker, x: event.clientX, y: event.clientY, xScale, yScale };
+  };
+
+  const moveDrag = (event) => {
+    if (!drag.current) return;
+    const { marker, x, y, xScale, yScale } = drag.current;
+    const time = xScale.invert(xScale(marker.time) + event.clientX - x);
+    const level = yScale.invert(yScale(marker.level) + event.clientY - y);
+    onChange(marker.index, {
+      time: Math.round(time / TIME_STEP) * TIME_STEP,
+      amount: marker.amount + toAmount(level - marker.level),
+    });
+  };
+
+  const endDrag = () => {
+    drag.current = null;
+  };
+
+  const handleKey = (event, marker) => {
+    const step = event.shiftKey ? LARGE_TIME_STEP : TIME_STEP;
+    const changes = {
+      ArrowLeft: { time: marker.time - step },
+      ArrowRight: { time: marker.time + step },
+      ArrowUp: { amount: marker.amount + marker.amountStep },
+      ArrowDown: { amount: marker.amount - marker.amountStep },
+    }[event.key];
+    if (changes) {
+      event.preventDefault();
+      onChange(marker.index, { time: marker.time, amount: marker.amount, ...changes });
+    } else if ((event.key === 'Delete' || event.key === 'Backspace') && marker.removable) {
+      event.preventDefault();
+      onRemove(marker.index);
+    }
+  };
+
+  return (
+    <g>
+      {markers.map((marker) => (
+        <circle
+          key={marker.index}
+          cx={xScale(marker.time)}
+          cy={yScale(marker.level)}
+          r={6}
+          fill={color}
+          strokeWidth={2}
+          className="cursor-move stroke-background outline-none focus-visible:stroke-foreground"
+          style={{ touchAction: 'none' }}
+          tabIndex={0}
+          role="button"
+          aria-label={`${marker.label}. Arrow keys move it or change the amount${marker.removable ? ', Delete removes it' : ''}.`}
+          onPointerDown={(event) => startDrag(event, marker)}
+          onPointerMove={moveDrag}
+          onPointerUp={endDrag}
+          onPointerCancel={endDrag}
+          onClick={(event) => event.stopPropagation()}
+          onKeyDown={(event) => handleKey(event, marker)}
+        >
+          <title>{marker.label}</title>
+        </circle>
+      ))}
+    </g>
+  );
+};
+
+export default DoseMarkers;
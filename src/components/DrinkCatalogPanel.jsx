@@ -0,0 +1,60 @@
+import { useState } from 'react';
+import { Trash2, Plus } from 'lucide-react';
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { createDrink } from "@/lib/drinks";
+
+const DrinkCatalogPanel = ({ drinks, onChange, onClose }) => {
+  const [name, setName] = useState('');
+  const [caffeine, setCaffeine] = useState('');
+  const [serving, setServing] = useState('');
+  const canAdd = name.trim() !== '' && Number(caffeine) > 0 && Number(caffeine) <= 1000;
+
+  const addDrink = () => {
+    onChange([...drinks, createDrink(name, Number(caffeine), serving)]);
+    setName('');
+    setCaffeine('');
+    setServing('');
+  };
+
+  return (
+    <div className="rounded-lg border p-4 mb-6 text-sm">
+      <div className="flex items-center mb-3">
+        <span className="font-medium mr-auto">Your drinks</span>
+        <Button variant="ghost" size="sm" onClick={onClose}>Close</Button>
+      </div>
+      {drinks.length > 0 && (
+        <ul className="grid gap-1 mb-3">
+          {drinks.map((drink) => (
+            <li key={drink.id} className="flex items-center gap-2">
+              <span className="mr-auto">
+                {drink.name} <span className="text-gray-600">— {drink.caffeine} mg{drink.serving && ` per ${drink.serving}`}</span>
+              </span>
+              <Button variant="ghost" size="sm" onClick={() => onChange(drinks.filter((d) => d.id !== drink.id))}>
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="flex flex-wrap items-center gap-2">
+        <Input placeholder="Name" value={name} onChange={(e) => setName(e.target.value)} className="flex-1 min-w-32 h-9" />
+        <Input
+          type="number"
+          placeholder="mg"
+          value={caffeine}
+          onChange={(e) => setCaffeine(e.target.value)}
+          min="1"
+          max="1000"
+          className="w-20 h-9"
+        />
+        <Input placeholder="Serving, e.g. 330 ml" value={serving} onChange={(e) => setServing(e.target.value)} className="w-40 h-9" />
+        <Button variant="outline" size="sm" onClick={addDrink} disabled={!canAdd}>
+          <Plus className="h-4 w-4" />
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default DrinkCatalogPanel;
@@ -0,0 +1,151 @@
+import { useState, useRef, useEffect, useMemo } from 'react';
+import { Upload } from 'lucide-react';
+import { Button } from "@/components/ui/button";
+import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert";
+import { intakeDate } from "@/lib/intakes";
+import { addToHistory } from "@/lib/history";
+import { formatClock, formatDay, splitTimestamp } from "@/lib/time";
+
+const PREVIEW_ROWS = 5;
+
+// Imports caffeine from Apple Health or Google Fit / Health Connect exports.
+// The file is parsed in a worker and shown as a preview first; nothing is
+// added until one of the buttons is pressed.
+const HealthImport = ({ intakes, history, clock, onImport, onAddToHistory }) => {
+  const [progress, setProgress] = useState(null); // 0 to 1 while reading
+  const [result, setResult] = useState(null);
+  const [readError, setReadError] = useState('');
+  const worker = useRef(null);
+
+  const stop = () => {
+    worker.current?.terminate();
+    worker.current = null;
+    setProgress(null);
+  };
+
+  useEffect(() => () => worker.current?.terminate(), []);
+
+  const chooseFile = (event) => {
+    const chosen = event.target.files[0];
+    event.target.value = '';
+    if (!chosen) return;
+    stop();
+    setResult(null);
+    setReadError('');
+    setProgress(0);
+    worker.current = new Worker(new URL('../lib/healthWorker.js', import.meta.url), { type: 'module' });
+    worker.current.onmessage = ({ data }) => {
+      if (data.progress !== undefined) {
+        setProgress(data.progress);
+        return;
+      }
+      stop();
+      if (data.error) setReadError(`Could not read ${chosen.name}: ${data.error}`);
+      else setResult(data.result);
+    };
+    worker.current.onerror = () => {
+      stop();
+      setReadError(`Could not read ${chosen.name}`);
+    };
+    worker.current.postMessage(chosen);
+  };
+
+  const preview = useMemo(() => {
+    if (!result?.intakes.length) return null;
+    const imported = result.intakes;
+    const latestDate = intakeDate(imported[imported.length - 1]);
+    const latestDay = imported.filter((intake) => intakeDate(intake) === latestDate);
+    const scheduled = new Set(intakes.map((intake) => `${intake.at}|${intake.amount}`));
+    return {
+      from: intakeDate(imported[0]),
+      to: latestDate,
+      newToHistory: addToHistory(history, imported).length - history.length,
+      latestDay: latestDay.filter((intake) => !scheduled.has(`${intake.at}|${intake.amount}`)),
+      rows: imported.slice(-PREVIEW_ROWS).reverse(),
+    };
+  }, [result, intakes, history]);
+
+  const finish = (apply) => {
+    apply();
+    setResult(null);
+  };
+
+  return (
+    <div className="mt-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-gray-600 mr-auto">Import from Apple Health (export.xml) or Google Fit / Health Connect (JSON)</span>
+        {progress !== null ? (
+          <>
+            <span className="tabular-nums text-gray-600">Reading… {Math.round(progress * 100)}%</span>
+            <Button variant="ghost" size="sm" onClick={stop}>Cancel</Button>
+          </>
+        ) : (
+          <Button variant="outline" size="sm" className="gap-2" asChild>
+            <label>
+              <Upload className="h-4 w-4" /> Choose export
+              <input type="file" accept=".xml,.json,text/xml,application/json" className="sr-only" onChange={chooseFile} />
+            </label>
+          </Button>
+        )}
+      </div>
+
+      {readError && (
+        <Alert variant="destructive" className="mt-4"><AlertDescription>{readError}</AlertDescription></Alert>
+      )}
+
+      {result && (
+        <div className="mt-4">
+          {result.errorCount > 0 && (
+            <Alert variant="destructive" className="mb-3">
+              <AlertTitle>{result.errorCount} {result.errorCount === 1 ? 'record' : 'records'} could not be imported</AlertTitle>
+              <AlertDescription>
+                <ul className="list-disc pl-4">
+                  {result.errors.map((message) => <li key={message}>{message}</li>)}
+                </ul>
+                {result.errorCount > result.errors.length && <p>and {result.errorCount - result.errors.length} more</p>}
+              </AlertDescription>
+            </Alert>
+          )}
+          {preview ? (
+            <>
+              <p className="mb-2">
+                {result.intakes.length} caffeine {result.intakes.length === 1 ? 'record' : 'records'} from{' '}
+                {formatDay(preview.from)} to {formatDay(preview.to)}, {preview.newToHistory} not in your history yet. Latest:
+              </p>
+              <ul className="mb-3 text-gray-600">
+                {preview.rows.map((intake, index) => (
+                  <li key={index}>
+                    {formatDay(intakeDate(intake))}, {formatClock(splitTimestamp(intake.at).time, clock)}: {intake.amount} mg
+                  </li>
+                ))}
+              </ul>
+              <div className="flex flex-wrap items-center justify-end gap-2">
+                <Button
+                  variant="outline"
+                  size="sm"
+                  disabled={!preview.newToHistory}
+                  onClick={() => finish(() => onAddToHistory(result.intakes))}
+                >
+                  Add to history
+                </Button>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  disabled={!preview.latestDay.length}
+                  onClick={() => finish(() => onImport(preview.latestDay, false))}
+                >
+                  Add {formatDay(preview.to)} to schedule
+                </Button>
+                <Button variant="ghost" size="sm" onClick={() => setResult(null)}>Discard</Button>
+              </div>
+            </>
+          ) : (
+            <p className="text-gray-600">No caffeine records found in this file.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HealthImport;
@@ -0,0 +1,153 @@
+import { useState, useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid } from 'recharts';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+import { ChartContainer, ChartTooltip, ChartTooltipContent } from "@/components/ui/chart";
+import { Button } from "@/components/ui/button";
+import { dailyStats, dailyTotals } from "@/lib/history";
+import { intakeDate } from "@/lib/intakes";
+import { addDays, formatClock, formatDay, parseISODate, toISODate, today } from "@/lib/time";
+
+const TREND_WEEKS = [4, 8, 12];
+
+const TRENDS = [
+  { key: 'total', label: 'Daily total (mg)', color: 'hsl(var(--chart-3))' },
+  { key: 'peak', label: 'Peak level (mg)', color: 'hsl(var(--chart-1))' },
+  { key: 'bedtimeLevel', label: 'At bedtime (mg)', color: 'hsl(var(--chart-2))' },
+  { key: 'lastDrink', label: 'Last drink', color: 'hsl(var(--chart-4))', format: formatClock },
+];
+
+const formatShortDay = (date) => parseISODate(date).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+const TrendChart = ({ data, trend, clock }) => {
+  const format = trend.format ? (value) => trend.format(value, clock) : (value) => Math.round(value);
+  return (
+    <div>
+      <p className="text-gray-600 mb-1">{trend.label}</p>
+      <ChartContainer config={{ [trend.key]: { label: trend.label, color: trend.color } }} className="aspect-auto h-40">
+        <LineChart data={data} margin={{ top: 5, right: 10, left: 0, bottom: 0 }}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="date" tickFormatter={formatShortDay} minTickGap={24} tickMargin={4} />
+          <YAxis tickFormatter={format} width={40} domain={trend.format ? [0, 24] : [0, 'auto']} />
+          <ChartTooltip
+            cursor={false}
+            content={
+              <ChartTooltipContent
+                labelFormatter={(_, payload) => formatDay(payload[0].payload.date)}
+                formatter={(value) => (
+                  <span className="flex w-full justify-between gap-2">
+                    <span className="text-muted-foreground">{trend.label}</span>
+                    <span className="font-mono font-medium tabular-nums">{format(value)}</span>
+                  </span>
+                )}
+              />
+            }
+          />
+          <Line type="linear" dataKey={trend.key} stroke={`var(--color-${trend.key})`} strokeWidth={2} dot={false} connectNulls />
+        </LineChart>
+      </ChartContainer>
+    </div>
+  );
+};
+
+// Month grid starting on Monday; each day shows how much was logged.
+const Calendar = ({ month, totals, selectedDate, onSelect }) => {
+  const first = parseISODate(month);
+  const offset = (first.getDay() + 6) % 7;
+  const daysInMonth = new Date(first.getFullYear(), first.getMonth() + 1, 0).getDate();
+  const cells = [
+    ...Array.from({ length: offset }, () => null),
+    ...Array.from({ length: daysInMonth }, (_, i) => addDays(month, i)),
+  ];
+
+  return (
+    <div className="grid grid-cols-7 gap-1 text-center">
+      {['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].map((day) => (
+        <span key={day} className="text-gray-600 text-xs">{day}</span>
+      ))}
+      {cells.map((date, index) => {
+        if (!date) return <span key={`blank-${index}`} />;
+        const total = totals[date];
+        return (
+          <button
+            key={date}
+            onClick={() => onSelect(date)}
+            disabled={!total}
+            className={`rounded-md border p-1 text-xs disabled:opacity-50 ${date === selectedDate ? 'ring-2 ring-ring' : ''}`}
+            style={total ? { backgroundColor: `hsl(var(--chart-3) / ${Math.min(total / 400, 1) * 0.35})` } : undefined}
+            aria-label={total ? `${formatDay(date)}, ${total} mg` : formatDay(date)}
+          >
+            <div>{parseISODate(date).getDate()}</div>
+            <div className="text-gray-600">{total ? `${total}` : '–'}</div>
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+const HistoryPanel = ({ history, params, bedtime, clock, selectedDate, canLog, onLog, onOpenDay, onRemoveDay, onClose }) => {
+  const [month, setMonth] = useState(() => toISODate(new Date(new Date().getFullYear(), new Date().getMonth(), 1)));
+  const [weeks, setWeeks] = useState(TREND_WEEKS[0]);
+  const totals = useMemo(() => dailyTotals(history), [history]);
+  const stats = useMemo(() => {
+    const to = today();
+    return dailyStats(history, addDays(to, 1 - weeks * 7), to, params, bedtime);
+  }, [history, weeks, params, bedtime]);
+  const selectedLogged = history.some((intake) => intakeDate(intake) === selectedDate);
+
+  const shiftMonth = (months) => {
+    const date = parseISODate(month);
+    setMonth(toISODate(new Date(date.getFullYear(), date.getMonth() + months, 1)));
+  };
+
+  return (
+    <div className="rounded-lg border p-4 mb-6 text-sm">
+      <div className="flex items-center gap-2 mb-3">
+        <span className="font-medium mr-auto">History</span>
+        <Button variant="outline" size="sm" onClick={onLog} disabled={!canLog}>Log current schedule</Button>
+        <Button variant="ghost" size="sm" onClick={onClose}>Close</Button>
+      </div>
+      <p className="text-gray-600 mb-3">
+        Logging saves the intakes in the table as what you actually drank on their days. Pick a day to open it in the chart, or remove the selected day from the log.
+      </p>
+
+      <div className="flex items-center mb-2">
+        <Button variant="ghost" size="sm" onClick={() => shiftMonth(-1)} aria-label="Previous month">
+          <ChevronLeft className="h-4 w-4" />
+        </Button>
+        <span className="flex-1 text-center font-medium">
+          {parseISODate(month).toLocaleDateString(undefined, { month: 'long', year: 'numeric' })}
+        </span>
+        <Button variant="ghost" size="sm" onClick={() => shiftMonth(1)} aria-label="Next month">
+          <ChevronRight className="h-4 w-4" />
+        </Button>
+      </div>
+      <Calendar month={month} totals={totals} selectedDate={selectedDate} onSelect={onOpenDay} />
+      {selectedLogged && (
+        <div className="flex justify-end mt-2">
+          <Button variant="ghost" size="sm" onClick={() => onRemoveDay(selectedDate)}>
+            Remove {formatDay(selectedDate)} from history
+          </Button>
+        </div>
+      )}
+
+      <div className="flex items-center gap-2 mt-6 mb-3">
+        <span className="font-medium mr-auto">Trends</span>
+        {TREND_WEEKS.map((count) => (
+          <Button key={count} variant={weeks === count ? "default" : "outline"} size="sm" onClick={() => setWeeks(count)}>
+            {count} weeks
+          </Button>
+        ))}
+      </div>
+      {history.length > 0 ? (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          {TRENDS.map((trend) => <TrendChart key={trend.key} data={stats} trend={trend} clock={clock} />)}
+        </div>
+      ) : (
+        <p className="text-gray-600">Nothing logged yet.</p>
+      )}
+    </div>
+  );
+};
+
+export default HistoryPanel;
@@ -0,0 +1,226 @@
+import { useState, useMemo } from 'react';
+import { Download, Upload } from 'lucide-react';
+import { Button } from "@/components/ui/button";
+import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert";
+import { NativeSelect } from "@/components/ui/native-select";
+import { downloadFile } from "@/lib/download";
+import { PNG_SCALES, svgToPng } from "@/lib/chartImage";
+import { ALARM_MINUTES, scheduleToIcs } from "@/lib/calendar";
+import HealthImport from "@/components/HealthImport";
+import {
+  FIELDS, TIME_FORMATS, intakesToCsv, intakesToJson, curveToCsv, curveToJson,
+  readLogFile, guessMapping, detectTimeFormat, importRows, importIntakes,
+} from "@/lib/logs";
+
+const MAX_LISTED_ERRORS = 10;
+
+// `getChart` returns the chart as from chartToSvg, or null if none is shown.
+// `lastCall` is the caffeine cutoff for the calendar, or null if there is none.
+const ImportExportPanel = ({
+  intakes, history, chartData, startDate, series, drinks, clock, getChart, lastCall, onImport, onAddToHistory, onClose,
+}) => {
+  const [file, setFile] = useState(null);
+  const [scale, setScale] = useState(2);
+  const [imageError, setImageError] = useState('');
+  const [alarmMinutes, setAlarmMinutes] = useState(ALARM_MINUTES[1]);
+  const [mapping, setMapping] = useState({});
+  const [timeFormat, setTimeFormat] = useState(null);
+  const [readError, setReadError] = useState('');
+
+  const result = useMemo(() => {
+    if (!file) return null;
+    if (file.intakes) return importIntakes(file.intakes);
+    if (mapping.time === null || !timeFormat) return { intakes: [], errors: ['Choose the time column and its format'] };
+    return importRows(file.rows, mapping, timeFormat, drinks);
+  }, [file, mapping, timeFormat, drinks]);
+
+  const chooseFile = async (event) => {
+    const chosen = event.target.files[0];
+    event.target.value = '';
+    if (!chosen) return;
+    try {
+      const parsed = readLogFile(await chosen.text(), chosen.name);
+      setReadError('');
+      setFile(parsed);
+      if (parsed.columns) {
+        const guessed = guessMapping(parsed.columns);
+        setMapping(guessed);
+        setTimeFormat(guessed.time === null ? null : detectTimeFormat(parsed.rows.map((row) => row[guessed.time] ?? '')));
+      }
+    } catch (e) {
+      setFile(null);
+      setReadError(`Could not read ${chosen.name}: ${e.message}`);
+    }
+  };
+
+  const exportSvg = () => {
+    const chart = getChart();
+    if (chart) downloadFile('caffeine-chart.svg', chart.markup, 'image/svg+xml');
+  };
+
+  const exportPng = async () => {
+    const chart = getChart();
+    if (!chart) return;
+    try {
+      downloadFile('caffeine-chart.png', await svgToPng(chart, scale));
+      setImageError('');
+    } catch (e) {
+      setImageError(`Could not export the chart: ${e.message}`);
+    }
+  };
+
+  const updateMapping = (field, value) => {
+    const index = value === '' ? null : Number(value);
+    setMapping({ ...mapping, [field]: index });
+    if (field === 'time' && index !== null) {
+      setTimeFormat(detectTimeFormat(file.rows.map((row) => row[index] ?? '')));
+    }
+  };
+
+  const finish = (replace) => {
+    onImport(result.intakes, replace);
+    setFile(null);
+  };
+
+  return (
+    <div className="rounded-lg border p-4 mb-6 text-sm">
+      <div className="flex items-center mb-3">
+        <span className="font-medium mr-auto">Import and export</span>
+        <Button variant="ghost" size="sm" onClick={onClose}>Close</Button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <span className="text-gray-600 mr-auto">Export</span>
+        <Button variant="outline" size="sm" className="gap-2" onClick={() => downloadFile('caffeine-intakes.csv', intakesToCsv(intakes), 'text/csv')}>
+          <Download className="h-4 w-4" /> Intakes CSV
+        </Button>
+        <Button variant="outline" size="sm" className="gap-2" onClick={() => downloadFile('caffeine-intakes.json', intakesToJson(intakes), 'application/json')}>
+          <Download className="h-4 w-4" /> Intakes JSON
+        </Button>
+        <Button variant="outline" size="sm" className="gap-2" disabled={!chartData.length} onClick={() => downloadFile('caffeine-curve.csv', curveToCsv(chartData, startDate, series), 'text/csv')}>
+          <Download className="h-4 w-4" /> Curve CSV
+        </Button>
+        <Button variant="outline" size="sm" className="gap-2" disabled={!chartData.length} onClick={() => downloadFile('caffeine-curve.json', curveToJson(chartData, startDate, series), 'application/json')}>
+          <Download className="h-4 w-4" /> Curve JSON
+        </Button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <span className="text-gray-600 mr-auto">Chart image</span>
+        <Button variant="outline" size="sm" className="gap-2" disabled={!chartData.length} onClick={exportSvg}>
+          <Download className="h-4 w-4" /> SVG
+        </Button>
+        <NativeSelect
+          value={scale}
+          onChange={(e) => setScale(Number(e.target.value))}
+          className="h-9 w-auto"
+          aria-label="PNG resolution"
+        >
+          {PNG_SCALES.map((option) => (
+            <option key={option} value={option}>{option}× screen size</option>
+          ))}
+        </NativeSelect>
+        <Button variant="outline" size="sm" className="gap-2" disabled={!chartData.length} onClick={exportPng}>
+          <Download className="h-4 w-4" /> PNG
+        </Button>
+      </div>
+      {imageError && (
+        <Alert variant="destructive" className="mb-4"><AlertDescription>{imageError}</AlertDescription></Alert>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <span className="text-gray-600 mr-auto">
+          Calendar with every intake{lastCall && ' and the last call for caffeine'}
+        </span>
+        <NativeSelect
+          value={alarmMinutes}
+          onChange={(e) => setAlarmMinutes(Number(e.target.value))}
+          className="h-9 w-auto"
+          aria-label="Reminder"
+        >
+          {ALARM_MINUTES.map((minutes) => (
+            <option key={minutes} value={minutes}>{minutes ? `Remind ${minutes} min before` : 'Remind on time'}</option>
+          ))}
+        </NativeSelect>
+        <Button
+          variant="outline"
+          size="sm"
+          className="gap-2"
+          disabled={!chartData.length}
+          onClick={() => downloadFile('caffeine-schedule.ics', scheduleToIcs(intakes, { lastCall, alarmMinutes }), 'text/calendar')}
+        >
+          <Download className="h-4 w-4" /> Calendar (.ics)
+        </Button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-gray-600 mr-auto">Import a CSV or JSON log</span>
+        <Button variant="outline" size="sm" className="gap-2" asChild>
+          <label>
+            <Upload className="h-4 w-4" /> Choose file
+            <input type="file" accept=".csv,.json,.txt,text/csv,application/json" className="sr-only" onChange={chooseFile} />
+          </label>
+        </Button>
+      </div>
+
+      {readError && (
+        <Alert variant="destructive" className="mt-4"><AlertDescription>{readError}</AlertDescription></Alert>
+      )}
+
+      {file?.columns && (
+        <div className="grid grid-cols-2 sm:grid-cols-3 gap-3 mt-4">
+          {Object.entries(FIELDS).map(([field, { label, required }]) => (
+            <label key={field} className="grid gap-1 text-gray-600">
+              {label}
+              <NativeSelect
+                value={mapping[field] ?? ''}
+                onChange={(e) => updateMapping(field, e.target.value)}
+                className="h-9"
+              >
+                {!required && <option value="">Not in file</option>}
+                {required && mapping[field] === null && <option value="">Choose a column</option>}
+                {file.columns.map((column, index) => (
+                  <option key={index} value={index}>{column || `Column ${index + 1}`}</option>
+                ))}
+              </NativeSelect>
+            </label>
+          ))}
+          <label className="grid gap-1 text-gray-600">
+            Time format
+            <NativeSelect value={timeFormat ?? ''} onChange={(e) => setTimeFormat(e.target.value || null)} className="h-9">
+              {!timeFormat && <option value="">Not detected</option>}
+              {Object.entries(TIME_FORMATS).map(([format, label]) => (
+                <option key={format} value={format}>{label}</option>
+              ))}
+            </NativeSelect>
+          </label>
+        </div>
+      )}
+
+      {result && (
+        <div className="mt-4">
+          {result.errors.length > 0 && (
+            <Alert variant="destructive" className="mb-3">
+              <AlertTitle>{result.errors.length} {result.errors.length === 1 ? 'row' : 'rows'} could not be imported</AlertTitle>
+              <AlertDescription>
+                <ul className="list-disc pl-4">
+                  {result.errors.slice(0, MAX_LISTED_ERRORS).map((message) => <li key={message}>{message}</li>)}
+                </ul>
+                {result.errors.length > MAX_LISTED_ERRORS && <p>and {result.errors.length - MAX_LISTED_ERRORS} more</p>}
+              </AlertDescription>
+            </Alert>
+          )}
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="mr-auto">{result.intakes.length} {result.intakes.length === 1 ? 'intake' : 'intakes'} ready</span>
+            <Button variant="outline" size="sm" disabled={!result.intakes.length} onClick={() => finish(false)}>Add to schedule</Button>
+            <Button variant="outline" size="sm" disabled={!result.intakes.length} onClick={() => finish(true)}>Replace schedule</Button>
+          </div>
+        </div>
+      )}
+
+      <HealthImport intakes={intakes} history={history} clock={clock} onImport={onImport} onAddToHistory={onAddToHistory} />
+    </div>
+  );
+};
+
+export default ImportExportPanel;
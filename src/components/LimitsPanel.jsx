@@ -0,0 +1,73 @@
+import { Input } from "@/components/ui/input";
+import { NativeSelect } from "@/components/ui/native-select";
+import { AGE_GROUP, MIN_WEIGHT, MAX_WEIGHT } from "@/lib/limits";
+import { UNIT } from "@/lib/units";
+
+// Empty inputs mean "not set", which is stored as null.
+const toNumberOrNull = (value) => (value === '' ? null : Number(value));
+
+const LimitsPanel = ({ settings, rules, onChange }) => {
+  const update = (field, value) => {
+    const next = { ...settings, [field]: value };
+    // Plasma concentration cannot be shown without a weight.
+    if (field === 'weight' && value === null) next.unit = UNIT.MG;
+    onChange(next);
+  };
+
+  return (
+    <div className="rounded-lg border p-4 mb-6 text-sm">
+      <span className="font-medium">Limits</span>
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mt-3">
+        <label className="grid gap-1 text-gray-600">
+          Body weight (kg)
+          <Input
+            type="number"
+            value={settings.weight ?? ''}
+            placeholder="Optional"
+            onChange={(e) => update('weight', toNumberOrNull(e.target.value))}
+            min={MIN_WEIGHT}
+            max={MAX_WEIGHT}
+            className="h-9"
+          />
+        </label>
+        <label className="grid gap-1 text-gray-600">
+          Age group
+          <NativeSelect value={settings.ageGroup} onChange={(e) => update('ageGroup', e.target.value)} className="h-9">
+            <option value={AGE_GROUP.ADULT}>Adult</option>
+            <option value={AGE_GROUP.ADOLESCENT}>Adolescent (12–18)</option>
+          </NativeSelect>
+        </label>
+        <label className="grid gap-1 text-gray-600">
+          Daily limit (mg)
+          <Input
+            type="number"
+            value={settings.dailyLimit ?? ''}
+            placeholder={`${rules.daily.limit}`}
+            onChange={(e) => update('dailyLimit', toNumberOrNull(e.target.value))}
+            min="1"
+            max="2000"
+            className="h-9"
+          />
+        </label>
+        <label className="grid gap-1 text-gray-600">
+          Single dose (mg)
+          <Input
+            type="number"
+            value={settings.singleLimit ?? ''}
+            placeholder={`${rules.single.limit}`}
+            onChange={(e) => update('singleLimit', toNumberOrNull(e.target.value))}
+            min="1"
+            max="2000"
+            className="h-9"
+          />
+        </label>
+      </div>
+      <ul className="mt-3 text-gray-600">
+        <li>{rules.daily.rule}.</li>
+        <li>{rules.single.rule}.</li>
+      </ul>
+    </div>
+  );
+};
+
+export default LimitsPanel;
@@ -0,0 +1,60 @@
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { formatTimeOfDay, parseTimeOfDay } from "@/lib/time";
+
+// Answers "when can I still have this drink?" and "how much can I have at
+// this time?" against the sleep target. The solving is done by the parent,
+// which owns the timeline; this component only collects the question.
+const PlanPanel = ({ threshold, latestTime, maxDose, amount, time, onAmountChange, onTimeChange, onAdd, onClose }) => {
+  return (
+    <div className="rounded-lg border p-4 mb-6 text-sm">
+      <div className="flex items-center mb-3">
+        <span className="font-medium mr-auto">Plan next drink</span>
+        <Button variant="ghost" size="sm" onClick={onClose}>Close</Button>
+      </div>
+      <div className="grid gap-3">
+        <div className="flex flex-wrap items-center gap-2 text-gray-600">
+          <label className="flex items-center gap-2">
+            A drink of
+            <Input
+              type="number"
+              value={amount}
+              onChange={(e) => onAmountChange(Number(e.target.value))}
+              min="1"
+              max="1000"
+              className="w-20 h-9"
+            />
+            mg can be had until
+          </label>
+          <span className="font-medium text-foreground">
+            {latestTime ?? 'no time today'}
+          </span>
+          {latestTime && (
+            <Button variant="outline" size="sm" className="ml-auto" onClick={onAdd}>
+              Add at {latestTime}
+            </Button>
+          )}
+        </div>
+        <div className="flex flex-wrap items-center gap-2 text-gray-600">
+          <label className="flex items-center gap-2">
+            At
+            <Input
+              type="time"
+              value={formatTimeOfDay(time)}
+              onChange={(e) => e.target.value && onTimeChange(parseTimeOfDay(e.target.value))}
+              step="60"
+              className="w-32 h-9"
+            />
+            you can have up to
+          </label>
+          <span className="font-medium text-foreground">{maxDose} mg</span>
+        </div>
+        <p className="text-gray-600">
+          Both keep you below {threshold} from bedtime on.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default PlanPanel;
@@ -0,0 +1,71 @@
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { NativeSelect } from "@/components/ui/native-select";
+import { FACTORS, PROFILE_MODE, MIN_HALF_LIFE, MAX_HALF_LIFE, resolveHalfLife, formatHours } from "@/lib/profile";
+
+const ProfilePanel = ({ profile, onChange }) => {
+  const update = (field, value) => onChange({ ...profile, [field]: value });
+  const derivedHalfLife = resolveHalfLife({ ...profile, mode: PROFILE_MODE.FACTORS });
+
+  return (
+    <div className="rounded-lg border p-4 mb-6 text-sm">
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <span className="font-medium mr-auto">Your half-life</span>
+        <Button
+          variant={profile.mode === PROFILE_MODE.FACTORS ? "default" : "outline"}
+          size="sm"
+          onClick={() => update('mode', PROFILE_MODE.FACTORS)}
+        >
+          Estimate
+        </Button>
+        <Button
+          variant={profile.mode === PROFILE_MODE.CUSTOM ? "default" : "outline"}
+          size="sm"
+          onClick={() => onChange({ ...profile, mode: PROFILE_MODE.CUSTOM, halfLife: derivedHalfLife })}
+        >
+          Set manually
+        </Button>
+      </div>
+
+      {profile.mode === PROFILE_MODE.CUSTOM ? (
+        <label className="flex items-center gap-2 text-gray-600">
+          Half-life
+          <Input
+            type="number"
+            value={profile.halfLife}
+            onChange={(e) => update('halfLife', Number(e.target.value))}
+            min={MIN_HALF_LIFE}
+            max={MAX_HALF_LIFE}
+            step="0.5"
+            className="w-24 h-9"
+          />
+          hours
+        </label>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            {Object.entries(FACTORS).map(([key, factor]) => (
+              <label key={key} className="grid gap-1 text-gray-600">
+                {factor.label}
+                <NativeSelect
+                  value={factor.options.findIndex((o) => o.value === profile[key])}
+                  onChange={(e) => update(key, factor.options[Number(e.target.value)].value)}
+                  className="h-9"
+                >
+                  {factor.options.map((option, index) => (
+                    <option key={option.label} value={index}>{option.label}</option>
+                  ))}
+                </NativeSelect>
+              </label>
+            ))}
+          </div>
+          <p className="mt-3 text-gray-600">
+            Estimated half-life: <span className="font-medium text-foreground">{formatHours(derivedHalfLife)} hours</span>
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ProfilePanel;
@@ -0,0 +1,96 @@
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { REMINDER } from "@/lib/reminders";
+
+// Preferences for local reminders. `refillLevel` is in the display unit;
+// the parent converts it back to mg and asks for permission when turning
+// reminders on. `upcoming` lists what is scheduled as { id, title, when }.
+const RemindersPanel = ({
+  reminders, permission, supported, drinkName, unit, refillLevel, upcoming, onToggle, onChange, onRefillLevelChange, onClose,
+}) => {
+  const update = (key, value) => onChange({ ...reminders, [key]: value });
+
+  return (
+    <div className="rounded-lg border p-4 mb-6 text-sm">
+      <div className="flex items-center mb-3">
+        <span className="font-medium mr-auto">Reminders</span>
+        <Button
+          variant={reminders.enabled ? "default" : "outline"}
+          size="sm"
+          onClick={onToggle}
+          disabled={!supported || (permission === 'denied' && !reminders.enabled)}
+          className="mr-2"
+        >
+          {reminders.enabled ? 'On' : 'Off'}
+        </Button>
+        <Button variant="ghost" size="sm" onClick={onClose}>Close</Button>
+      </div>
+      <p className="text-gray-600 mb-3">
+        {!supported
+          ? 'This browser cannot show notifications.'
+          : permission === 'denied'
+            ? 'Notifications are blocked for this site. Allow them in the browser settings to get reminders.'
+            : 'Reminders are worked out from your schedule and shown by this page while it is open, in a tab or installed as an app.'}
+      </p>
+      <ul className="grid gap-2">
+        <li>
+          <label className="flex flex-wrap items-center gap-2">
+            <input
+              type="checkbox"
+              checked={reminders[REMINDER.REFILL]}
+              onChange={(e) => update(REMINDER.REFILL, e.target.checked)}
+            />
+            Room for another {drinkName.toLowerCase()}: caffeine is below
+            <Input
+              type="number"
+              value={refillLevel}
+              onChange={(e) => onRefillLevelChange(Number(e.target.value))}
+              min="0"
+              step="any"
+              className="w-20 h-8"
+            />
+            {unit} and one more still meets your sleep target
+          </label>
+        </li>
+        <li>
+          <label className="flex flex-wrap items-center gap-2">
+            <input
+              type="checkbox"
+              checked={reminders[REMINDER.LAST_CALL]}
+              onChange={(e) => update(REMINDER.LAST_CALL, e.target.checked)}
+            />
+            Last call for caffeine,
+            <Input
+              type="number"
+              value={reminders.lastCallLead}
+              onChange={(e) => update('lastCallLead', Number(e.target.value))}
+              min="0"
+              max="120"
+              className="w-20 h-8"
+            />
+            min ahead
+          </label>
+        </li>
+        <li>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={reminders[REMINDER.CLEAR]}
+              onChange={(e) => update(REMINDER.CLEAR, e.target.checked)}
+            />
+            Caffeine has dropped below the sleep threshold
+          </label>
+        </li>
+      </ul>
+      {reminders.enabled && (
+        <p className="text-gray-600 mt-3">
+          {upcoming.length
+            ? <>Coming up: {upcoming.map(({ id, title, when }, index) => <span key={id}>{index > 0 && '; '}{title.toLowerCase()} at {when}</span>)}.</>
+            : 'Nothing coming up for this schedule.'}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default RemindersPanel;
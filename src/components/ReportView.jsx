@@ -0,0 +1,74 @@
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { intakeLabel } from "@/lib/drinks";
+import { intakeDate, sortIntakes } from "@/lib/intakes";
+import { substanceOf } from "@/lib/substances";
+import { formatClock, formatDay, splitTimestamp } from "@/lib/time";
+
+// Printed instead of the app: the intakes, the chart and its key figures on
+// plain paper. Hidden on screen. `chart` is the markup from chartToSvg,
+// taken just before printing; `summary` holds the same formatted figures as
+// the summary panel.
+const ReportView = ({ period, intakes, clock, chart, summary, notes, warnings }) => {
+  return (
+    <div className="hidden print:block w-full text-sm text-black">
+      <h1 className="text-xl font-semibold">☕ Caffeine report</h1>
+      <p className="text-gray-600 mb-4">
+        {period} · printed {new Date().toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })}
+      </p>
+
+      {chart && (
+        <img
+          src={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(chart.markup)}`}
+          alt="Chart of the caffeine level"
+          className="w-full mb-4 break-inside-avoid"
+        />
+      )}
+
+      {summary && (
+        <div className="grid grid-cols-2 gap-x-6 mb-4 break-inside-avoid">
+          {summary.map(({ label, value }) => (
+            <div key={label} className="flex justify-between gap-2 border-b py-1">
+              <span className="text-gray-600">{label}</span>
+              <span className="font-medium tabular-nums">{value}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {notes.length > 0 && (
+        <ul className="mb-4 list-disc pl-4">
+          {notes.map((note) => <li key={note}>{note}</li>)}
+        </ul>
+      )}
+
+      {warnings.length > 0 && (
+        <ul className="mb-4 list-disc pl-4">
+          {warnings.map(({ rule, message }) => <li key={message}><span className="font-medium">{rule}:</span> {message}</li>)}
+        </ul>
+      )}
+
+      <Table>
+        <TableHeader>
+          <TableRow>
+            <TableHead>Date</TableHead>
+            <TableHead>Time</TableHead>
+            <TableHead>What</TableHead>
+            <TableHead className="text-right">Amount</TableHead>
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          {sortIntakes(intakes).map((intake, index) => (
+            <TableRow key={index} className="break-inside-avoid">
+              <TableCell>{formatDay(intakeDate(intake))}</TableCell>
+              <TableCell>{formatClock(splitTimestamp(intake.at).time, clock)}</TableCell>
+              <TableCell>{intakeLabel(intake)}</TableCell>
+              <TableCell className="text-right tabular-nums">{intake.amount} {substanceOf(intake).unit}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </div>
+  );
+};
+
+export default ReportView;
@@ -0,0 +1,87 @@
+import { useState } from 'react';
+import { Trash2, Pencil, Check } from 'lucide-react';
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+
+const SchedulesPanel = ({ schedules, canSave, onSave, onLoad, onRename, onDelete, onClose }) => {
+  const [name, setName] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editingName, setEditingName] = useState('');
+
+  const save = () => {
+    onSave(name);
+    setName('');
+  };
+
+  const startRename = (schedule) => {
+    setEditingId(schedule.id);
+    setEditingName(schedule.name);
+  };
+
+  const finishRename = () => {
+    if (editingName.trim()) onRename(editingId, editingName.trim());
+    setEditingId(null);
+  };
+
+  return (
+    <div className="rounded-lg border p-4 mb-6 text-sm">
+      <div className="flex items-center mb-3">
+        <span className="font-medium mr-auto">Saved schedules</span>
+        <Button variant="ghost" size="sm" onClick={onClose}>Close</Button>
+      </div>
+      {schedules.length > 0 ? (
+        <ul className="grid gap-1 mb-3">
+          {schedules.map((schedule) => (
+            <li key={schedule.id} className="flex items-center gap-2">
+              {editingId === schedule.id ? (
+                <>
+                  <Input
+                    value={editingName}
+                    onChange={(e) => setEditingName(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && finishRename()}
+                    className="flex-1 h-9"
+                    autoFocus
+                  />
+                  <Button variant="ghost" size="sm" onClick={finishRename} aria-label="Save name">
+                    <Check className="h-4 w-4" />
+                  </Button>
+                </>
+              ) : (
+                <>
+                  <span className="mr-auto">
+                    {schedule.name}{' '}
+                    <span className="text-gray-600">— {schedule.intakes.length} {schedule.intakes.length === 1 ? 'drink' : 'drinks'}</span>
+                  </span>
+                  <Button variant="outline" size="sm" onClick={() => onLoad(schedule.id)}>Load</Button>
+                  <Button variant="ghost" size="sm" onClick={() => startRename(schedule)} aria-label="Rename">
+                    <Pencil className="h-4 w-4" />
+                  </Button>
+                </>
+              )}
+              <Button variant="ghost" size="sm" onClick={() => onDelete(schedule.id)} aria-label="Delete">
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-gray-600 mb-3">No saved schedules yet.</p>
+      )}
+      <div className="flex items-center gap-2">
+        <Input
+          placeholder="Name, e.g. Workday"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && canSave && name.trim() && save()}
+          className="flex-1 h-9"
+        />
+        <Button variant="outline" size="sm" onClick={save} disabled={!canSave || !name.trim()}>
+          Save current
+        </Button>
+      </div>
+      <p className="text-gray-600 mt-3">Loading a schedule moves its last day to today.</p>
+    </div>
+  );
+};
+
+export default SchedulesPanel;
@@ -0,0 +1,48 @@
+import { Input } from "@/components/ui/input";
+import { formatTimeOfDay, parseTimeOfDay } from "@/lib/time";
+import { isConcentration } from "@/lib/units";
+
+// `threshold` is in the display unit; the parent converts back to mg.
+const SleepPanel = ({ bedtime, threshold, unit, bedtimeLabel, clearLabel, onBedtimeChange, onThresholdChange }) => {
+  return (
+    <div className="rounded-lg border p-4 mb-6 text-sm">
+      <div className="flex flex-wrap items-center gap-4">
+        <span className="font-medium mr-auto">Sleep</span>
+        <label className="flex items-center gap-2 text-gray-600">
+          Bedtime
+          <Input
+            type="time"
+            value={formatTimeOfDay(bedtime)}
+            onChange={(e) => e.target.value && onBedtimeChange(parseTimeOfDay(e.target.value))}
+            step="60"
+            className="w-32 h-9"
+          />
+        </label>
+        <label className="flex items-center gap-2 text-gray-600">
+          Safe below
+          <Input
+            type="number"
+            value={threshold}
+            onChange={(e) => onThresholdChange(Number(e.target.value))}
+            min="0"
+            step="any"
+            className="w-20 h-9"
+          />
+          {unit}
+        </label>
+      </div>
+      {bedtimeLabel !== null && (
+        <p className="mt-3 text-gray-600">
+          At bedtime you will still have{' '}
+          <span className="font-medium text-foreground">{bedtimeLabel}</span> of caffeine in your{' '}
+          {isConcentration(unit) ? 'blood plasma' : 'body'}.
+          {clearLabel && (
+            <> It drops below {threshold} {unit} at <span className="font-medium text-foreground">{clearLabel}</span>.</>
+          )}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default SleepPanel;
@@ -0,0 +1,80 @@
+import { Input } from "@/components/ui/input";
+import { formatTimeOfDay, parseTimeOfDay } from "@/lib/time";
+
+const Figure = ({ label, children }) => (
+  <div className="flex items-center justify-between gap-2 border-b py-2">
+    <span className="flex items-center gap-2 text-gray-600">{label}</span>
+    <span className="font-medium text-foreground tabular-nums whitespace-nowrap">{children}</span>
+  </div>
+);
+
+// The figures come formatted from the parent, which owns the timeline.
+// Levels typed in here are in the display unit; the parent converts to mg.
+const SummaryPanel = ({
+  day, summary, unit, aboveLevel, checkTime, freeLevel, onAboveLevelChange, onCheckTimeChange, onFreeLevelChange,
+}) => {
+  return (
+    <div className="rounded-lg border p-4 mt-6 text-sm">
+      <span className="font-medium">Summary for {day}</span>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 mt-1">
+        <Figure label="Peak">{summary.peak} at {summary.peakTime}</Figure>
+        <Figure label="Caffeine taken">{summary.total}</Figure>
+        <Figure label="Area under the curve">{summary.area}</Figure>
+        <Figure
+          label={
+            <label className="flex items-center gap-2">
+              Time above
+              <Input
+                type="number"
+                value={aboveLevel}
+                onChange={(e) => onAboveLevelChange(Number(e.target.value))}
+                min="0"
+                step="any"
+                className="w-20 h-8"
+              />
+              {unit}
+            </label>
+          }
+        >
+          {summary.timeAbove}
+        </Figure>
+        <Figure
+          label={
+            <label className="flex items-center gap-2">
+              Level at
+              <Input
+                type="time"
+                value={formatTimeOfDay(checkTime)}
+                onChange={(e) => e.target.value && onCheckTimeChange(parseTimeOfDay(e.target.value))}
+                step="60"
+                className="w-32 h-8"
+              />
+            </label>
+          }
+        >
+          {summary.checkLevel}
+        </Figure>
+        <Figure
+          label={
+            <label className="flex items-center gap-2">
+              Below
+              <Input
+                type="number"
+                value={freeLevel}
+                onChange={(e) => onFreeLevelChange(Number(e.target.value))}
+                min="0"
+                step="any"
+                className="w-20 h-8"
+              />
+              {unit} from
+            </label>
+          }
+        >
+          {summary.freeAt ?? 'never'}
+        </Figure>
+      </div>
+    </div>
+  );
+};
+
+export default SummaryPanel;
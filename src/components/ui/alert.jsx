@@ -11,6 +11,10 @@ const alertVariants = cva(
         default: "bg-background text-foreground",
         destructive:
           "border-destructive/50 text-destructive dark:border-destructive [&>svg]:text-destructive",
+        info:
+          "border-primary/50 text-foreground [&>svg]:text-primary",
+        caution:
+          "border-[hsl(var(--chart-4))] bg-[hsl(var(--chart-4)/0.1)] text-foreground [&>svg]:text-[hsl(var(--chart-5))]",
       },
     },
     defaultVariants: {
@@ -0,0 +1,20 @@
+import * as React from "react"
+
+import { cn } from "@/lib/utils"
+
+const NativeSelect = React.forwardRef(({ className, children, ...props }, ref) => {
+  return (
+    (<select
+      className={cn(
+        "flex h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50",
+        className
+      )}
+      ref={ref}
+      {...props}>
+      {children}
+    </select>)
+  );
+})
+NativeSelect.displayName = "NativeSelect"
+
+export { NativeSelect }
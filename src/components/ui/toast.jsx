@@ -0,0 +1,23 @@
+import * as React from "react"
+
+import { cn } from "@/lib/utils"
+
+const Toast = React.forwardRef(({ className, ...props }, ref) => (
+  <div
+    ref={ref}
+    role="status"
+    aria-live="polite"
+    className={cn(
+      "fixed bottom-4 left-1/2 z-50 flex print:hidden w-[calc(100%-2rem)] max-w-sm -translate-x-1/2 items-center gap-2 rounded-lg border bg-background p-3 pl-4 text-sm text-foreground shadow-lg animate-in fade-in-0 slide-in-from-bottom-2",
+      className
+    )}
+    {...props} />
+))
+Toast.displayName = "Toast"
+
+const ToastDescription = React.forwardRef(({ className, ...props }, ref) => (
+  <div ref={ref} className={cn("mr-auto", className)} {...props} />
+))
+ToastDescription.displayName = "ToastDescription"
+
+export { Toast, ToastDescription }
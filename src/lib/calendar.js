@@ -0,0 +1,95 @@
+// iCalendar (RFC 5545) export of a schedule, so calendar apps can remind
+// people of their drinks without any server. Times are floating local times:
+// 08:00 stays 08:00 in whatever time zone the calendar is in.
+
+import { intakeLabel } from "@/lib/drinks";
+import { sortIntakes } from "@/lib/intakes";
+import { CAFFEINE, substanceOf } from "@/lib/substances";
+import { shiftTimestamp } from "@/lib/time";
+
+export const ALARM_MINUTES = [0, 5, 15, 30]; // before each event
+const EVENT_MINUTES = 15;
+const PRODUCT_ID = '-//Caffeine Half-Life//Schedule//EN';
+const MAX_LINE_OCTETS = 75;
+
+// `2024-05-01T08:00` as `20240501T080000`.
+function formatDateTime(timestamp) {
+  return `${timestamp.replace(/[-:]/g, '')}00`;
+}
+
+function formatUtc(date) {
+  return `${date.toISOString().replace(/[-:]/g, '').slice(0, 15)}Z`;
+}
+
+function escapeText(value) {
+  return value.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Long lines are folded onto continuation lines that start with a space,
+// without splitting a multi-byte character.
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let part = '';
+  for (const char of line) {
+    const limit = parts.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+    if (encoder.encode(part + char).length > limit) {
+      parts.push(part);
+      part = '';
+    }
+    part += char;
+  }
+  parts.push(part);
+  return parts.join('\r\n ');
+}
+
+function event({ uid, at, summary, description, alarmMinutes, stamp }) {
+  return [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${formatDateTime(at)}`,
+    `DTEND:${formatDateTime(shiftTimestamp(at, EVENT_MINUTES / 60))}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    `TRIGGER:-PT${alarmMinutes}M`,
+    `DESCRIPTION:${escapeText(summary)}`,
+    'END:VALARM',
+    'END:VEVENT',
+  ];
+}
+
+// One event per intake plus, when given, `lastCall` = { at, description }
+// for the latest time a standard drink still clears the sleep threshold.
+export function scheduleToIcs(intakes, { lastCall = null, alarmMinutes = 0, now = new Date() } = {}) {
+  const stamp = formatUtc(now);
+  const events = sortIntakes(intakes).map((intake, index) => event({
+    uid: `${formatDateTime(intake.at)}-${index}@caffeine-half-life`,
+    at: intake.at,
+    summary: substanceOf(intake).id === CAFFEINE ? `☕ ${intakeLabel(intake)}` : intakeLabel(intake),
+    description: `${intake.amount} ${substanceOf(intake).unit} of ${substanceOf(intake).name.toLowerCase()}.`,
+    alarmMinutes,
+    stamp,
+  }));
+  if (lastCall) {
+    events.push(event({
+      uid: `${formatDateTime(lastCall.at)}-last-call@caffeine-half-life`,
+      at: lastCall.at,
+      summary: '⏰ Last call for caffeine',
+      description: lastCall.description,
+      alarmMinutes,
+      stamp,
+    }));
+  }
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    ...events.flat(),
+    'END:VCALENDAR',
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
@@ -0,0 +1,63 @@
+// Turns the rendered chart into a standalone SVG and PNG images of it, for
+// journals and clinicians. The chart's colours and fonts come from CSS
+// variables and classes that do not travel with the SVG, so the resolved
+// styles are copied onto every element of a copy.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const STYLE_PROPERTIES = [
+  'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-dasharray', 'stroke-opacity', 'opacity',
+  'font-family', 'font-size', 'font-weight', 'text-anchor', 'dominant-baseline', 'visibility',
+];
+
+// Multiples of the on-screen size offered for PNGs.
+export const PNG_SCALES = [1, 2, 4];
+
+// `svg` is the chart's element on the page. Returns its markup and size in
+// CSS pixels.
+export function chartToSvg(svg) {
+  const copy = svg.cloneNode(true);
+  const sources = [svg, ...svg.querySelectorAll('*')];
+  const targets = [copy, ...copy.querySelectorAll('*')];
+  sources.forEach((source, i) => {
+    const computed = window.getComputedStyle(source);
+    targets[i].setAttribute('style', STYLE_PROPERTIES.map((name) => `${name}:${computed.getPropertyValue(name)}`).join(';'));
+    targets[i].removeAttribute('class');
+    targets[i].removeAttribute('tabindex');
+  });
+
+  const { width, height } = svg.getBoundingClientRect();
+  copy.setAttribute('xmlns', SVG_NS);
+  copy.setAttribute('width', width);
+  copy.setAttribute('height', height);
+  copy.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  const background = document.createElementNS(SVG_NS, 'rect');
+  background.setAttribute('width', '100%');
+  background.setAttribute('height', '100%');
+  background.setAttribute('fill', '#ffffff');
+  copy.insertBefore(background, copy.firstChild);
+
+  return { markup: new XMLSerializer().serializeToString(copy), width, height };
+}
+
+// Draws the SVG from chartToSvg onto a canvas `scale` times its size.
+export function svgToPng({ markup, width, height }, scale = 1) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const context = canvas.getContext('2d');
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('the image could not be created'))), 'image/png');
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('the chart could not be drawn'));
+    };
+    image.src = url;
+  });
+}
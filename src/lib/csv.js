@@ -0,0 +1,57 @@
+// Minimal RFC 4180 CSV reading and writing. The delimiter is detected from
+// the header line so semicolon files from spreadsheet exports work too.
+
+const DELIMITERS = [',', ';', '\t'];
+
+export function detectDelimiter(text) {
+  const header = text.split(/\r?\n/, 1)[0];
+  const counts = DELIMITERS.map((d) => header.split(d).length - 1);
+  return DELIMITERS[counts.indexOf(Math.max(...counts))];
+}
+
+// Rows as arrays of strings. Blank lines are skipped.
+export function parseCsv(text, delimiter = detectDelimiter(text)) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some((value) => value !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  if (row.some((value) => value !== '')) rows.push(row);
+  return rows;
+}
+
+function escapeField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(header, rows) {
+  return [header, ...rows].map((row) => row.map(escapeField).join(',')).join('\n') + '\n';
+}
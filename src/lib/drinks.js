@@ -0,0 +1,76 @@
+// Drink catalog. Caffeine is per serving in mg; an intake stores the drink's
+// name and caffeine alongside its servings so it still reads correctly if
+// the drink is later edited or deleted. Drinks are caffeine only; other
+// substances are logged as plain amounts.
+
+import { CAFFEINE, substanceOf } from "@/lib/substances";
+
+export const PRESET_DRINKS = [
+  { id: 'drip-coffee', name: 'Drip coffee', caffeine: 95, serving: '240 ml' },
+  { id: 'espresso', name: 'Espresso shot', caffeine: 63, serving: '30 ml' },
+  { id: 'double-espresso', name: 'Double espresso', caffeine: 126, serving: '60 ml' },
+  { id: 'cold-brew', name: 'Cold brew', caffeine: 155, serving: '355 ml' },
+  { id: 'black-tea', name: 'Black tea', caffeine: 47, serving: '240 ml' },
+  { id: 'green-tea', name: 'Green tea', caffeine: 28, serving: '240 ml' },
+  { id: 'cola', name: 'Cola', caffeine: 34, serving: '355 ml can' },
+  { id: 'energy-drink', name: 'Energy drink', caffeine: 80, serving: '250 ml can' },
+  { id: 'energy-drink-large', name: 'Large energy drink', caffeine: 160, serving: '473 ml can' },
+  { id: 'pre-workout', name: 'Pre-workout', caffeine: 200, serving: '1 scoop' },
+];
+
+// The usual reference serving, e.g. for the last call before bedtime.
+export const STANDARD_DRINK = PRESET_DRINKS[0];
+
+export const MAX_SERVINGS = 10;
+const MAX_AMOUNT = 1000; // mg, as in checkIntakes
+
+export function isValidDrink(drink) {
+  return Boolean(drink) && typeof drink.id === 'string' && typeof drink.name === 'string' &&
+    drink.name.trim() !== '' && drink.caffeine > 0 && drink.caffeine <= 1000;
+}
+
+export function createDrink(name, caffeine, serving = '') {
+  return { id: `custom-${Date.now().toString(36)}`, name: name.trim(), caffeine, serving: serving.trim() };
+}
+
+export function findDrink(drinks, id) {
+  return drinks.find((drink) => drink.id === id) ?? null;
+}
+
+// Fields an intake takes from `drink`; servings are kept from the intake.
+export function withDrink(intake, drink, servings = intake.servings ?? 1) {
+  if (!drink) {
+    const { at, amount } = intake;
+    return { at, amount };
+  }
+  return {
+    at: intake.at,
+    drinkId: drink.id,
+    name: drink.name,
+    caffeine: drink.caffeine,
+    servings,
+    amount: Math.round(drink.caffeine * servings),
+  };
+}
+
+// The intake changed to about `amount`: whole or half servings for a drink,
+// steps of the substance otherwise, kept within what checkIntakes accepts.
+export function withAmount(intake, amount) {
+  if (!intake.name) {
+    const { step } = substanceOf(intake);
+    return { ...intake, amount: Math.min(Math.max(Math.round(amount / step) * step, step), MAX_AMOUNT) };
+  }
+  const most = Math.min(Math.floor((2 * MAX_AMOUNT) / intake.caffeine) / 2, MAX_SERVINGS);
+  const servings = Math.min(Math.max(Math.round((amount / intake.caffeine) * 2) / 2, 0.5), most);
+  return { ...intake, servings, amount: Math.round(intake.caffeine * servings) };
+}
+
+export function intakeLabel(intake) {
+  if (!intake.name) {
+    const substance = substanceOf(intake);
+    return substance.id === CAFFEINE
+      ? `${intake.amount} ${substance.unit}`
+      : `${intake.amount} ${substance.unit} ${substance.name.toLowerCase()}`;
+  }
+  return intake.servings === 1 ? intake.name : `${intake.servings} × ${intake.name}`;
+}
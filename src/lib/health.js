@@ -0,0 +1,171 @@
+// Caffeine records from health-app exports: Apple Health's export.xml and
+// Google Fit or Health Connect JSON. Exports span years and can be hundreds
+// of megabytes, so the XML is read in chunks (see healthWorker.js) and only
+// caffeine records are kept. Times become local wall-clock timestamps like
+// every other intake.
+
+import { checkIntakes, sortIntakes } from "@/lib/intakes";
+import { toLocalTimestamp } from "@/lib/time";
+
+export const APPLE_CAFFEINE_TYPE = 'HKQuantityTypeIdentifierDietaryCaffeine';
+const MAX_ERRORS = 10;
+
+const MG_PER_UNIT = { mg: 1, g: 1000, mcg: 0.001, µg: 0.001, ug: 0.001 };
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// Collects intakes and up to MAX_ERRORS messages, counting the rest.
+// Records of 0 mg are logged meals without caffeine and are skipped.
+function createResult() {
+  const result = { intakes: [], errors: [], errorCount: 0 };
+  const add = (at, mg, label) => {
+    if (mg === 0) return;
+    const intake = { at, amount: Math.round(mg * 10) / 10 };
+    const error = at ? checkIntakes([intake]) : 'has no usable time';
+    if (!error) {
+      result.intakes.push(intake);
+      return;
+    }
+    result.errorCount += 1;
+    if (result.errors.length < MAX_ERRORS) result.errors.push(`${label}: ${error.toLowerCase()}`);
+  };
+  return { result, add };
+}
+
+function toMg(value, unit = 'mg') {
+  const factor = MG_PER_UNIT[String(unit).toLowerCase()];
+  const number = Number(value);
+  return factor && Number.isFinite(number) ? number * factor : NaN;
+}
+
+// `2024-05-01 08:30:00 -0700` or `2024-05-01T08:30:00-07:00` keep the wall
+// clock they were written with. UTC times, and offsets given separately as
+// Health Connect does, are moved to that zone or else to this browser's.
+function parseTime(value, zoneOffset = null) {
+  if (typeof value === 'number') return toLocalTimestamp(new Date(value));
+  if (typeof value !== 'string') return null;
+  const match = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2})(?::\d{2}(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/.exec(value.trim());
+  if (!match) return null;
+  const [, date, time, zone] = match;
+  if (zone && zone !== 'Z' && zoneOffset === null) return `${date}T${time}`;
+
+  const instant = Date.parse(`${date}T${time}:00${zone === 'Z' || !zone ? 'Z' : zone.replace(/(\d{2})(\d{2})$/, '$1:$2')}`);
+  if (Number.isNaN(instant)) return null;
+  const offset = /^([+-])(\d{2}):?(\d{2})$/.exec(zoneOffset ?? '');
+  if (!offset) return zone ? toLocalTimestamp(new Date(instant)) : `${date}T${time}`;
+  const minutes = (offset[1] === '-' ? -1 : 1) * (Number(offset[2]) * 60 + Number(offset[3]));
+  return new Date(instant + minutes * 60000).toISOString().slice(0, 16);
+}
+
+// --- Apple Health -------------------------------------------------------------
+
+function decodeXml(value) {
+  return value.replace(/&(#x?[0-9a-f]+|\w+);/gi, (entity, name) => {
+    if (name[0] !== '#') return XML_ENTITIES[name] ?? entity;
+    return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1)));
+  });
+}
+
+function readAttributes(tag) {
+  const attributes = {};
+  for (const [, name, value] of tag.matchAll(/([\w:-]+)="([^"]*)"/g)) attributes[name] = decodeXml(value);
+  return attributes;
+}
+
+// Feed export.xml in pieces of any size with `push`, then call `end` for the
+// result. Only opening <Record> tags matter; a tag cut off at the end of a
+// piece is kept for the next one.
+export function createAppleHealthReader() {
+  const { result, add } = createResult();
+  let rest = '';
+  let count = 0;
+
+  const read = (text) => {
+    const records = /<Record\b[^>]*>/g;
+    let end = 0;
+    for (const match of text.matchAll(records)) {
+      end = match.index + match[0].length;
+      if (!match[0].includes(APPLE_CAFFEINE_TYPE)) continue;
+      const { type, value, unit, startDate } = readAttributes(match[0]);
+      if (type !== APPLE_CAFFEINE_TYPE) continue;
+      count += 1;
+      add(parseTime(startDate), toMg(value, unit), `Record ${count}`);
+    }
+    const open = text.lastIndexOf('<');
+    return open >= end && text.indexOf('>', open) === -1 ? text.slice(open) : '';
+  };
+
+  return {
+    push(chunk) {
+      rest = read(rest + chunk);
+    },
+    end() {
+      read(rest);
+      return { ...result, intakes: sortIntakes(result.intakes) };
+    },
+  };
+}
+
+// --- Google Fit and Health Connect --------------------------------------------
+
+// Mass as Health Connect writes it ({ inGrams }, { inMilligrams }, { value,
+// unit }) or as a bare number of mg.
+function readMass(mass) {
+  if (typeof mass === 'number' || typeof mass === 'string') return toMg(mass);
+  if (!mass || typeof mass !== 'object') return NaN;
+  if ('inMilligrams' in mass) return toMg(mass.inMilligrams);
+  if ('inGrams' in mass) return toMg(mass.inGrams, 'g');
+  if ('inMicrograms' in mass) return toMg(mass.inMicrograms, 'mcg');
+  if ('value' in mass) return toMg(mass.value, mass.unit ?? 'mg');
+  return NaN;
+}
+
+// Google Fit nutrition points keep nutrients in a key/value map; like its
+// other minerals, caffeine is in mg.
+function fitCaffeine(point) {
+  const values = point.fitValue ?? point.value ?? [];
+  for (const entry of values) {
+    const nutrients = entry?.value?.mapVal ?? entry?.mapVal ?? [];
+    const caffeine = nutrients.find((nutrient) => /caffeine/i.test(nutrient?.key ?? ''));
+    if (caffeine) return toMg(caffeine.value?.fpVal ?? caffeine.value?.intVal);
+  }
+  return null;
+}
+
+const TIME_KEYS = ['startTime', 'time', 'startDate', 'date'];
+
+// Walks the whole JSON, so Takeout files, API responses and Health Connect
+// exports with the records nested at any depth all work.
+export function readHealthJson(data) {
+  const { result, add } = createResult();
+  const stack = [data];
+  let count = 0;
+  while (stack.length) {
+    const node = stack.pop();
+    if (!node || typeof node !== 'object') continue;
+    if (Array.isArray(node)) {
+      for (let i = node.length - 1; i >= 0; i--) stack.push(node[i]);
+      continue;
+    }
+
+    if ('startTimeNanos' in node) {
+      const mg = fitCaffeine(node);
+      if (mg !== null) {
+        count += 1;
+        add(toLocalTimestamp(new Date(Number(node.startTimeNanos) / 1e6)), mg, `Record ${count}`);
+      }
+      continue;
+    }
+    const caffeineKey = Object.keys(node).find((key) => /^caffeine/i.test(key));
+    const timeKey = TIME_KEYS.find((key) => key in node);
+    if (caffeineKey && timeKey && node[caffeineKey] !== null) {
+      count += 1;
+      const mg = /grams$/i.test(caffeineKey) && !/milli/i.test(caffeineKey)
+        ? toMg(node[caffeineKey], 'g')
+        : readMass(node[caffeineKey]);
+      add(parseTime(node[timeKey], node.startZoneOffset ?? node.zoneOffset ?? null), mg, `Record ${count}`);
+      continue;
+    }
+    for (const value of Object.values(node)) stack.push(value);
+  }
+  return { ...result, intakes: sortIntakes(result.intakes) };
+}
@@ -0,0 +1,35 @@
+// Reads a health-app export off the main thread so big files do not freeze
+// the page. Posts { progress } as it goes (0 to 1), then { result } or
+// { error }.
+
+import { createAppleHealthReader, readHealthJson } from "@/lib/health";
+
+const CHUNK_SIZE = 4 * 1024 * 1024; // bytes
+
+async function readXml(file) {
+  const reader = createAppleHealthReader();
+  const decoder = new TextDecoder();
+  for (let offset = 0; offset < file.size; offset += CHUNK_SIZE) {
+    const chunk = await file.slice(offset, offset + CHUNK_SIZE).arrayBuffer();
+    reader.push(decoder.decode(chunk, { stream: true }));
+    self.postMessage({ progress: Math.min(offset + CHUNK_SIZE, file.size) / file.size });
+  }
+  reader.push(decoder.decode());
+  return reader.end();
+}
+
+async function readJson(file) {
+  const data = JSON.parse(await file.text());
+  self.postMessage({ progress: 1 });
+  return readHealthJson(data);
+}
+
+self.onmessage = async ({ data: file }) => {
+  try {
+    const head = (await file.slice(0, 256).text()).trimStart();
+    const json = file.name.toLowerCase().endsWith('.json') || head.startsWith('{') || head.startsWith('[');
+    self.postMessage({ result: await (json ? readJson(file) : readXml(file)) });
+  } catch (e) {
+    self.postMessage({ error: e.message });
+  }
+};
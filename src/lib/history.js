@@ -0,0 +1,67 @@
+// Log of what was actually consumed, kept apart from the planned schedule.
+// Daily figures are for caffeine and include what carried over from the
+// days before; other substances are logged but not charted here.
+
+import { curve, levelAt, peak } from "@/lib/pharmacokinetics";
+import { intakeDate, sortIntakes, toTimeline } from "@/lib/intakes";
+import { CAFFEINE, intakesOf } from "@/lib/substances";
+import { HOURS_PER_DAY, addDays, daysBetween, splitTimestamp } from "@/lib/time";
+
+// Days before a given day whose intakes still matter for its curve.
+export const CARRY_OVER_DAYS = 3;
+
+// Replaces whatever was logged on the days covered by `intakes`.
+export function logIntakes(history, intakes) {
+  const dates = new Set(intakes.map(intakeDate));
+  return sortIntakes([...history.filter((intake) => !dates.has(intakeDate(intake))), ...intakes]);
+}
+
+// Adds intakes from elsewhere, such as a health app, without replacing the
+// days they fall on. Intakes already logged are skipped, so importing the
+// same file twice adds nothing.
+export function addToHistory(history, intakes) {
+  const key = (intake) => `${intake.at}|${intake.amount}|${intake.substance ?? ''}`;
+  const logged = new Set(history.map(key));
+  return sortIntakes([...history, ...intakes.filter((intake) => !logged.has(key(intake)))]);
+}
+
+// Forgets everything logged on `date`, other substances included.
+export function removeDay(history, date) {
+  return history.filter((intake) => intakeDate(intake) !== date);
+}
+
+// Intakes from `date` and the days leading up to it, enough for its curve.
+export function dayWithCarryOver(history, date, days = CARRY_OVER_DAYS) {
+  return history.filter((intake) => {
+    const before = daysBetween(intakeDate(intake), date);
+    return before >= 0 && before <= days;
+  });
+}
+
+export function dailyTotals(history) {
+  const totals = {};
+  for (const intake of intakesOf(history, CAFFEINE)) totals[intakeDate(intake)] = (totals[intakeDate(intake)] ?? 0) + intake.amount;
+  return totals;
+}
+
+// Total, peak, level at bedtime and time of the last drink for every day
+// from `from` to `to`. Days without any logged intake have nulls.
+export function dailyStats(history, from, to, params, bedtime) {
+  const totals = dailyTotals(history);
+  const days = daysBetween(from, to) + 1;
+  return Array.from({ length: Math.max(days, 0) }, (_, i) => {
+    const date = addDays(from, i);
+    const todays = intakesOf(history, CAFFEINE).filter((intake) => intakeDate(intake) === date);
+    if (!todays.length) return { date, total: null, peak: null, bedtimeLevel: null, lastDrink: null };
+
+    const timeline = toTimeline(intakesOf(dayWithCarryOver(history, date), CAFFEINE), date);
+    const bedtimeOnTimeline = bedtime + (bedtime < 12 ? HOURS_PER_DAY : 0);
+    return {
+      date,
+      total: totals[date],
+      peak: peak(curve(timeline, [0, HOURS_PER_DAY], 5 / 60, params)).level,
+      bedtimeLevel: levelAt(timeline, bedtimeOnTimeline, params),
+      lastDrink: Math.max(...todays.map((intake) => splitTimestamp(intake.at).time)),
+    };
+  });
+}
@@ -0,0 +1,76 @@
+import {
+  today, addDays, daysBetween, isISODate, isTimestamp, toTimestamp, splitTimestamp, timestampDate, hoursSince, shiftTimestamp,
+} from "@/lib/time";
+import { PRESET_DRINKS, MAX_SERVINGS, withDrink } from "@/lib/drinks";
+import { CAFFEINE, findSubstance } from "@/lib/substances";
+
+export function defaultIntakes() {
+  return [withDrink({ at: toTimestamp(today(), 6) }, PRESET_DRINKS[0], 1)];
+}
+
+export function intakeDate(intake) {
+  return timestampDate(intake.at);
+}
+
+// Timestamps sort chronologically as plain strings.
+export function compareIntakes(a, b) {
+  return a.at.localeCompare(b.at);
+}
+
+export function sortIntakes(intakes) {
+  return [...intakes].sort(compareIntakes);
+}
+
+// Another of the same drink `gap` hours after `last`, rolling over into the next day.
+export function nextIntake(last, gap = 2) {
+  return { ...last, at: shiftTimestamp(last.at, gap) };
+}
+
+// Places intakes on the model's timeline, in hours since midnight of `startDate`.
+export function toTimeline(intakes, startDate) {
+  return intakes.map((intake) => ({ ...intake, time: hoursSince(startDate, intake.at) }));
+}
+
+// Moves every intake by `days` days, keeping the time of day.
+export function shiftIntakes(intakes, days) {
+  return intakes.map((intake) => {
+    const { date, time } = splitTimestamp(intake.at);
+    return { ...intake, at: toTimestamp(addDays(date, days), time) };
+  });
+}
+
+// Moves intakes so that their last day is `date`.
+export function alignIntakes(intakes, date) {
+  const lastDate = intakeDate(sortIntakes(intakes).pop());
+  return shiftIntakes(intakes, daysBetween(lastDate, date));
+}
+
+// Error message for an unusable intake list, or null if it is fine.
+export function checkIntakes(intakes) {
+  if (!Array.isArray(intakes) || intakes.length === 0) return 'Add at least one intake';
+  for (const intake of intakes) {
+    if (!intake || typeof intake !== 'object') return 'Each intake needs a date, time and amount';
+    if (!isTimestamp(intake.at)) return 'Each intake needs a valid date and time';
+    const substance = findSubstance(intake.substance ?? CAFFEINE);
+    if (!substance) return 'Unknown substance';
+    if (substance.id !== CAFFEINE && intake.name !== undefined) return 'Only caffeine can come from a drink';
+    if (intake.name !== undefined && (typeof intake.name !== 'string' || !(intake.caffeine > 0))) {
+      return 'Each drink needs a name and a caffeine content';
+    }
+    if (intake.name && (!(intake.servings > 0) || intake.servings > MAX_SERVINGS)) {
+      return `Servings must be more than 0 and at most ${MAX_SERVINGS}`;
+    }
+    if (typeof intake.amount !== 'number' || !(intake.amount > 0 && intake.amount <= 1000)) {
+      return `${substance.name} amount must be more than 0 and at most 1000 ${substance.unit}`;
+    }
+  }
+  return null;
+}
+
+// Intakes saved before timestamps had a separate date and fractional hour.
+export function upgradeIntake(intake) {
+  if (!intake || typeof intake !== 'object' || intake.at !== undefined) return intake;
+  if (!isISODate(intake.date) || typeof intake.time !== 'number' || !(intake.time >= 0 && intake.time < 24)) return intake;
+  const { date, time, ...rest } = intake;
+  return { at: toTimestamp(date, time), ...rest };
+}
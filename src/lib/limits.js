@@ -0,0 +1,111 @@
+// Safety limits. Without overrides the limits follow common guidance
+// (FDA, EFSA, Health Canada, AAP) and scale with body weight once it is known.
+// Each broken or nearly broken limit becomes a graded warning naming its rule.
+
+import { CLOCK, formatClock, formatDay, splitTimestamp } from "@/lib/time";
+import { intakeDate } from "@/lib/intakes";
+
+export const AGE_GROUP = {
+  ADULT: 'adult',
+  ADOLESCENT: 'adolescent',
+};
+
+export const WARNING_LEVEL = {
+  INFO: 'info',
+  CAUTION: 'caution',
+  DANGER: 'danger',
+};
+
+export const MIN_WEIGHT = 20; // kg
+export const MAX_WEIGHT = 300; // kg
+
+// Share of a limit at which a warning is raised at each level.
+const INFO_AT = 0.8;
+const CAUTION_AT = 1;
+const DANGER_AT = 1.5;
+
+const GUIDANCE = {
+  adultDaily: { perDay: 400, perKg: 5.7, source: 'FDA/EFSA guidance for adults' },
+  pregnancyDaily: { perDay: 200, source: 'ACOG/EFSA guidance during pregnancy' },
+  adolescentDaily: { perDay: 100, perKg: 2.5, source: 'AAP/Health Canada guidance for adolescents' },
+  adultSingle: { perDay: 200, perKg: 3, source: 'EFSA guidance for a single dose' },
+  adolescentSingle: { perDay: 100, perKg: 2.5, source: 'Health Canada guidance for adolescents' },
+};
+
+function fromGuidance(kind, guidance, weight) {
+  const scaled = weight && guidance.perKg;
+  const limit = scaled ? Math.round(guidance.perKg * weight) : guidance.perDay;
+  const basis = scaled ? `${guidance.perKg} mg/kg at ${weight} kg` : `${guidance.perDay} mg`;
+  const period = kind === 'daily' ? 'per day' : 'in one dose';
+  return { kind, limit, rule: `${guidance.source}: ${basis} ${period}` };
+}
+
+// The daily and single-dose limit that apply to these settings.
+export function limitRules(settings) {
+  const { weight, ageGroup, dailyLimit, singleLimit, profile } = settings;
+  const adolescent = ageGroup === AGE_GROUP.ADOLESCENT;
+  const pregnant = profile.pregnancy > 0;
+
+  const daily = dailyLimit
+    ? { kind: 'daily', limit: dailyLimit, rule: `Your daily limit of ${dailyLimit} mg` }
+    : fromGuidance('daily', adolescent ? GUIDANCE.adolescentDaily : pregnant ? GUIDANCE.pregnancyDaily : GUIDANCE.adultDaily, weight);
+  const single = singleLimit
+    ? { kind: 'single', limit: singleLimit, rule: `Your single-dose limit of ${singleLimit} mg` }
+    : fromGuidance('single', adolescent ? GUIDANCE.adolescentSingle : GUIDANCE.adultSingle, weight);
+  return { daily, single };
+}
+
+// Limits for a substance other than caffeine, which are fixed rough guides.
+export function substanceRules(substance) {
+  const { daily, single } = substance.limits;
+  return { daily: { kind: 'daily', ...daily }, single: { kind: 'single', ...single } };
+}
+
+function levelFor(amount, limit) {
+  const share = amount / limit;
+  if (share > DANGER_AT) return WARNING_LEVEL.DANGER;
+  if (share > CAUTION_AT) return WARNING_LEVEL.CAUTION;
+  if (share >= INFO_AT) return WARNING_LEVEL.INFO;
+  return null;
+}
+
+// Warnings for every day over (or close to) the daily limit, and one for
+// all doses over (or close to) the single-dose limit. Amounts are in `unit`.
+export function checkLimits(intakes, rules, clock = CLOCK.LOCALE, unit = 'mg') {
+  const warnings = [];
+
+  const totals = {};
+  for (const intake of intakes) totals[intakeDate(intake)] = (totals[intakeDate(intake)] ?? 0) + intake.amount;
+  for (const [date, total] of Object.entries(totals).sort()) {
+    const level = levelFor(total, rules.daily.limit);
+    if (!level) continue;
+    const verb = level === WARNING_LEVEL.INFO ? 'is close to' : 'exceeds';
+    warnings.push({
+      level,
+      rule: rules.daily.rule,
+      message: `${formatDay(date)}: ${Math.round(total * 10) / 10} ${unit} in total ${verb} the daily limit of ${rules.daily.limit} ${unit}.`,
+    });
+  }
+
+  const doses = intakes
+    .map((intake) => ({ intake, level: levelFor(intake.amount, rules.single.limit) }))
+    .filter(({ level }) => level);
+  if (doses.length) {
+    const largest = doses.reduce((max, dose) => (dose.intake.amount > max.intake.amount ? dose : max));
+    const overDoses = doses.filter(({ level }) => level !== WARNING_LEVEL.INFO);
+    const over = overDoses.length > 0;
+    const count = over ? overDoses.length : doses.length;
+    const verb = count === 1 ? (over ? 'exceeds' : 'comes close to') : (over ? 'exceed' : 'come close to');
+    const subject = count === 1 ? 'One dose' : `${count} doses`;
+    const { date, time } = splitTimestamp(largest.intake.at);
+    warnings.push({
+      level: largest.level,
+      rule: rules.single.rule,
+      message: `${subject} ${verb} the single-dose limit of ${rules.single.limit} ${unit}, ` +
+        `the largest being ${largest.intake.amount} ${unit} at ${formatClock(time, clock)} on ${formatDay(date)}.`,
+    });
+  }
+
+  const order = Object.values(WARNING_LEVEL);
+  return warnings.sort((a, b) => order.indexOf(b.level) - order.indexOf(a.level));
+}
@@ -0,0 +1,216 @@
+// Import and export of intake logs and computed curves as CSV and JSON.
+// Imports go through a column mapping so spreadsheets with their own
+// headers can be read, and every row is checked like a row typed into the
+// table, with errors reported per row instead of failing the whole file.
+
+import { parseCsv, toCsv } from "@/lib/csv";
+import { checkIntakes, sortIntakes, upgradeIntake } from "@/lib/intakes";
+import { withDrink } from "@/lib/drinks";
+import { CAFFEINE, SUBSTANCES, substanceOf } from "@/lib/substances";
+import { formatTimeOfDay, isISODate, splitTimestamp, toISODate, toTimestamp } from "@/lib/time";
+
+// Version 2 stores intakes with timestamps; version 1 files still import.
+export const LOG_VERSION = 2;
+
+export const FIELDS = {
+  time: { label: 'Time', required: true, aliases: ['time', 'timestamp', 'datetime', 'when', 'hour'] },
+  date: { label: 'Date', required: false, aliases: ['date', 'day'] },
+  amount: { label: 'Amount', required: false, aliases: ['amount', 'amount_mg', 'mg', 'caffeine', 'caffeine_mg', 'dose'] },
+  drink: { label: 'Drink', required: false, aliases: ['drink', 'name', 'beverage', 'item'] },
+  servings: { label: 'Servings', required: false, aliases: ['servings', 'serving', 'qty', 'quantity', 'count'] },
+  substance: { label: 'Substance', required: false, aliases: ['substance', 'compound'] },
+};
+
+export const TIME_FORMATS = {
+  iso: 'ISO timestamp',
+  clock: 'HH:MM',
+  hours: 'Fractional hours',
+};
+
+// --- Export -----------------------------------------------------------------
+
+export function intakesToCsv(intakes) {
+  const rows = sortIntakes(intakes).map((intake) => {
+    const { date, time } = splitTimestamp(intake.at);
+    const { id, unit } = substanceOf(intake);
+    return [date, formatTimeOfDay(time), intake.name ?? '', intake.name ? intake.servings : '', intake.amount, unit, id];
+  });
+  return toCsv(['date', 'time', 'drink', 'servings', 'amount', 'unit', 'substance'], rows);
+}
+
+export function intakesToJson(intakes) {
+  return JSON.stringify({ version: LOG_VERSION, intakes: sortIntakes(intakes) }, null, 2);
+}
+
+// `series` maps data keys of the chart rows to column names.
+export function curveToCsv(chartData, startDate, series) {
+  const keys = Object.keys(series);
+  const rows = chartData.map((point) => [toTimestamp(startDate, point.time), ...keys.map((key) => point[key])]);
+  return toCsv(['datetime', ...keys.map((key) => series[key])], rows);
+}
+
+export function curveToJson(chartData, startDate, series) {
+  const keys = Object.keys(series);
+  return JSON.stringify({
+    version: LOG_VERSION,
+    series,
+    points: chartData.map((point) => ({
+      datetime: toTimestamp(startDate, point.time),
+      ...Object.fromEntries(keys.map((key) => [key, point[key]])),
+    })),
+  }, null, 2);
+}
+
+// --- Import -----------------------------------------------------------------
+
+// Reads CSV or JSON into { columns, rows } where rows are arrays of strings,
+// or { intakes } when the file is this app's own JSON export.
+export function readLogFile(text, filename = '') {
+  const trimmed = text.trim();
+  if (filename.toLowerCase().endsWith('.json') || trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    return readJson(JSON.parse(trimmed));
+  }
+  const [columns = [], ...rows] = parseCsv(text);
+  return { columns: columns.map((c) => c.trim()), rows };
+}
+
+function readJson(data) {
+  if (data && data.version && Array.isArray(data.intakes)) return { intakes: data.intakes };
+
+  const records = Array.isArray(data) ? data : data?.intakes ?? data?.records;
+  if (!Array.isArray(records)) throw new Error('Expected a list of records');
+  const columns = [...new Set(records.flatMap((r) => (r && typeof r === 'object' ? Object.keys(r) : [])))];
+  const rows = records.map((r) => columns.map((c) => (r?.[c] === undefined || r?.[c] === null ? '' : String(r[c]))));
+  return { columns, rows };
+}
+
+// Best guess of which column holds which field, by header name.
+export function guessMapping(columns) {
+  const normalized = columns.map((c) => c.toLowerCase().replace(/[^a-z_]/g, ''));
+  const mapping = {};
+  for (const [field, { aliases }] of Object.entries(FIELDS)) {
+    const index = normalized.findIndex((c, i) => aliases.includes(c) && !Object.values(mapping).includes(i));
+    mapping[field] = index === -1 ? null : index;
+  }
+  return mapping;
+}
+
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}[T ]\d{1,2}:\d{2}/;
+const CLOCK = /^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap]\.?m\.?)?$/i;
+const HOURS = /^\d{1,2}(\.\d+)?$/;
+
+export function detectTimeFormat(values) {
+  const present = values.map((v) => v.trim()).filter(Boolean);
+  if (!present.length) return null;
+  if (present.every((v) => ISO_TIMESTAMP.test(v))) return 'iso';
+  if (present.every((v) => CLOCK.test(v))) return 'clock';
+  if (present.every((v) => HOURS.test(v))) return 'hours';
+  return null;
+}
+
+// { date, time } for one value in `format`, or null if it does not parse.
+export function parseTime(value, format) {
+  const text = value.trim();
+  if (format === 'iso') {
+    const date = new Date(text.replace(' ', 'T'));
+    if (!ISO_TIMESTAMP.test(text) || Number.isNaN(date.getTime())) return null;
+    return { date: toISODate(date), time: date.getHours() + date.getMinutes() / 60 };
+  }
+  if (format === 'clock') {
+    const match = CLOCK.exec(text);
+    if (!match) return null;
+    let hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    const meridiem = match[4]?.[0].toLowerCase();
+    if (meridiem && (hours < 1 || hours > 12)) return null;
+    if (meridiem === 'p' && hours < 12) hours += 12;
+    if (meridiem === 'a' && hours === 12) hours = 0;
+    if (hours > 23 || minutes > 59) return null;
+    return { date: null, time: hours + minutes / 60 };
+  }
+  if (format === 'hours') {
+    const hours = Number(text);
+    if (!HOURS.test(text) || hours >= 24) return null;
+    return { date: null, time: hours };
+  }
+  return null;
+}
+
+// By id or name, as either may be written in a file.
+function findSubstanceNamed(value) {
+  const key = value.trim().toLowerCase();
+  return SUBSTANCES.find((substance) => substance.id === key || substance.name.toLowerCase() === key) ?? null;
+}
+
+function findKnownDrink(drinks, name) {
+  const key = name.trim().toLowerCase();
+  return drinks.find((drink) => drink.name.toLowerCase() === key) ?? null;
+}
+
+function toIntake(row, mapping, timeFormat, drinks, defaultDate) {
+  const cell = (field) => (mapping[field] === null ? '' : (row[mapping[field]] ?? '').trim());
+
+  const parsed = parseTime(cell('time'), timeFormat);
+  if (!parsed) return { error: `time "${cell('time')}" is not ${TIME_FORMATS[timeFormat] ?? 'a recognised time'}` };
+
+  const date = cell('date') || parsed.date || defaultDate;
+  if (!isISODate(date)) return { error: `date "${date}" is not YYYY-MM-DD` };
+
+  const amount = cell('amount') === '' ? null : Number(cell('amount'));
+  const servings = cell('servings') === '' ? null : Number(cell('servings'));
+  const name = cell('drink');
+  if (Number.isNaN(amount)) return { error: `amount "${cell('amount')}" is not a number` };
+  if (Number.isNaN(servings)) return { error: `servings "${cell('servings')}" is not a number` };
+
+  const base = { at: toTimestamp(date, parsed.time) };
+  const substance = cell('substance') ? findSubstanceNamed(cell('substance')) : null;
+  if (cell('substance') && !substance) return { error: `substance "${cell('substance')}" is not tracked` };
+  if (substance && substance.id !== CAFFEINE) {
+    if (amount === null) return { error: `${substance.name.toLowerCase()} needs an amount` };
+    const intake = { ...base, amount, substance: substance.id };
+    const error = checkIntakes([intake]);
+    return error ? { error: error.toLowerCase() } : { intake };
+  }
+  let intake;
+  const known = name ? findKnownDrink(drinks, name) : null;
+  if (known) {
+    intake = withDrink(base, known, servings ?? (amount !== null ? amount / known.caffeine : 1));
+  } else if (name) {
+    if (amount === null) return { error: `"${name}" is not a known drink, so it needs an amount` };
+    const count = servings ?? 1;
+    const id = `imported-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}`;
+    intake = withDrink(base, { id, name, caffeine: amount / count }, count);
+  } else {
+    if (amount === null) return { error: 'needs an amount or a known drink' };
+    intake = { ...base, amount };
+  }
+
+  const error = checkIntakes([intake]);
+  return error ? { error: error.toLowerCase() } : { intake };
+}
+
+// Converts mapped rows into intakes. Row numbers in errors count the header
+// as row 1, as a spreadsheet would show them.
+export function importRows(rows, mapping, timeFormat, drinks, defaultDate = toISODate(new Date())) {
+  const intakes = [];
+  const errors = [];
+  rows.forEach((row, index) => {
+    const result = toIntake(row, mapping, timeFormat, drinks, defaultDate);
+    if (result.intake) intakes.push(result.intake);
+    else errors.push(`Row ${index + 2}: ${result.error}`);
+  });
+  return { intakes, errors };
+}
+
+// For this app's own JSON export, where rows are already intakes.
+export function importIntakes(records) {
+  const intakes = [];
+  const errors = [];
+  records.forEach((record, index) => {
+    const intake = upgradeIntake(record);
+    const error = checkIntakes([intake]);
+    if (error) errors.push(`Intake ${index + 1}: ${error.toLowerCase()}`);
+    else intakes.push(intake);
+  });
+  return { intakes, errors };
+}
@@ -0,0 +1,51 @@
+// Caffeine is broken down in the liver into three active dimethylxanthines,
+// each cleared at its own rate. A dose moves down a chain of first-order
+// steps: gut -> caffeine -> metabolite -> gone. Fractions are the share of
+// caffeine turned into each metabolite; amounts are mg of the metabolite.
+
+import { DEFAULT_PARAMS, MINUTE, eliminationRate, resolveAbsorptionRate } from "@/lib/pharmacokinetics";
+import { CAFFEINE_MOLAR_MASS } from "@/lib/units";
+
+const DIMETHYLXANTHINE_MOLAR_MASS = 180.16; // g/mol, the same for all three
+
+export const METABOLITES = [
+  { id: 'paraxanthine', name: 'Paraxanthine', fraction: 0.84, halfLife: 3.1, molarMass: DIMETHYLXANTHINE_MOLAR_MASS },
+  { id: 'theobromine', name: 'Theobromine', fraction: 0.12, halfLife: 7.2, molarMass: DIMETHYLXANTHINE_MOLAR_MASS },
+  { id: 'theophylline', name: 'Theophylline', fraction: 0.04, halfLife: 6.2, molarMass: DIMETHYLXANTHINE_MOLAR_MASS },
+];
+
+// Amount in the last step of a chain of first-order `rates`, `elapsed` hours
+// after `amount` entered the first step. Rates that are (nearly) equal make
+// the closed form divide by zero, so they are nudged apart first.
+function chainLevel(amount, elapsed, rates) {
+  if (elapsed < 0) return 0;
+  const ks = rates.map((k, i) => (rates.slice(0, i).some((other) => Math.abs(other - k) < 1e-6 * k) ? k * (1 + 1e-4 * i) : k));
+  const product = ks.slice(0, -1).reduce((total, k) => total * k, 1);
+  const sum = ks.reduce((total, k, i) => {
+    const denominator = ks.reduce((d, other, j) => (j === i ? d : d * (other - k)), 1);
+    return total + Math.exp(-k * elapsed) / denominator;
+  }, 0);
+  return Math.max(0, amount * product * sum);
+}
+
+// Amount of `metabolite` at time `t` from every caffeine intake so far.
+// `params` are the caffeine model parameters, so a slower caffeine half-life
+// also slows how fast the metabolites appear.
+export function metaboliteLevelAt(intakes, t, metabolite, params = DEFAULT_PARAMS) {
+  const ke = eliminationRate(params.halfLife);
+  const ka = resolveAbsorptionRate(params);
+  const km = eliminationRate(metabolite.halfLife);
+  const rates = ka === Infinity ? [ke, km] : [ka, ke, km];
+  const formed = metabolite.fraction * metabolite.molarMass / CAFFEINE_MOLAR_MASS;
+  return intakes.reduce((total, intake) => total + chainLevel(intake.amount * formed, t - intake.time, rates), 0);
+}
+
+// Samples a metabolite from `start` to `end` (exclusive) like `curve`.
+export function metaboliteCurve(intakes, [start, end], metabolite, resolution = MINUTE, params = DEFAULT_PARAMS) {
+  params = { ...params, absorptionRate: resolveAbsorptionRate(params) };
+  const steps = Math.round((end - start) / resolution);
+  return Array.from({ length: steps }, (_, i) => {
+    const time = start + i * resolution;
+    return { time, level: metaboliteLevelAt(intakes, time, metabolite, params) };
+  });
+}
@@ -0,0 +1,36 @@
+// Local notifications through the browser. Shown through the service worker
+// where there is one, since mobile browsers only allow them from there.
+
+const ICON = '/coffee.png';
+
+export function notificationsSupported() {
+  return typeof window !== 'undefined' && 'Notification' in window;
+}
+
+export function notificationPermission() {
+  return notificationsSupported() ? Notification.permission : 'denied';
+}
+
+// Resolves to 'granted', 'denied' or 'default' (dismissed).
+export async function requestNotifications() {
+  if (!notificationsSupported()) return 'denied';
+  return Notification.requestPermission();
+}
+
+// Resolves to whether the notification was shown. It can still fail after
+// permission was granted: with no active service worker, when permission was
+// revoked meanwhile, or on Android where `new Notification` is not allowed.
+export async function notify(title, body, tag) {
+  if (notificationPermission() !== 'granted') return false;
+  try {
+    const registration = await navigator.serviceWorker?.getRegistration();
+    if (registration) {
+      await registration.showNotification(title, { body, tag, icon: ICON });
+    } else {
+      new Notification(title, { body, tag, icon: ICON });
+    }
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,218 @@
+// Pure decay model for caffeine and the other tracked substances. Times are
+// in hours, amounts in the substance's unit (mg for caffeine).
+// Nothing in here knows about React so it can be reused and tested on its own.
+
+export const ABSORPTION = {
+  INSTANT: 'instant',
+  FIRST_ORDER: 'first-order',
+};
+
+export const ELIMINATION = {
+  FIRST_ORDER: 'first-order',
+  ZERO_ORDER: 'zero-order',
+};
+
+export const DEFAULT_PARAMS = {
+  halfLife: 5, // hours
+  absorption: ABSORPTION.FIRST_ORDER,
+  timeToPeak: 0.75, // hours, used when absorptionRate is not set
+  absorptionRate: null, // per hour
+  elimination: ELIMINATION.FIRST_ORDER,
+  clearanceRate: null, // amount per hour, zero-order elimination only
+};
+
+export const MINUTE = 1 / 60; // hours
+
+export function eliminationRate(halfLife) {
+  return Math.LN2 / halfLife;
+}
+
+// Time of the peak of a one-compartment curve with absorption rate `ka`
+// and elimination rate `ke`.
+export function timeToPeakFor(ka, ke) {
+  if (ka === ke) return 1 / ke;
+  return Math.log(ka / ke) / (ka - ke);
+}
+
+// Inverse of timeToPeakFor: the absorption rate that puts the peak at
+// `timeToPeak` hours. Peaks later than 1/ke cannot be reached with ka > ke,
+// so those fall back to ka = ke.
+export function absorptionRateFor(timeToPeak, ke) {
+  if (timeToPeak <= 0) return Infinity;
+  if (timeToPeak >= 1 / ke) return ke;
+
+  // timeToPeakFor is decreasing in ka, so bisect on a log scale.
+  let low = ke;
+  let high = ke * 2;
+  while (timeToPeakFor(high, ke) > timeToPeak) high *= 2;
+  for (let i = 0; i < 60; i++) {
+    const mid = Math.sqrt(low * high);
+    if (timeToPeakFor(mid, ke) > timeToPeak) low = mid;
+    else high = mid;
+  }
+  return Math.sqrt(low * high);
+}
+
+export function resolveAbsorptionRate(params = DEFAULT_PARAMS) {
+  if (params.absorption === ABSORPTION.INSTANT) return Infinity;
+  if (params.absorptionRate > 0) return params.absorptionRate;
+  return absorptionRateFor(params.timeToPeak ?? DEFAULT_PARAMS.timeToPeak, eliminationRate(params.halfLife));
+}
+
+// Solving for the absorption rate is iterative, so do it once per curve
+// rather than once per sample.
+function withResolvedRates(params) {
+  return { ...params, absorptionRate: resolveAbsorptionRate(params) };
+}
+
+// Amount in the body from a single dose `elapsed` hours after it was taken.
+// First-order absorption follows the Bateman function; instant absorption
+// puts the whole dose in at once and only decays it.
+export function doseLevel(amount, elapsed, params = DEFAULT_PARAMS) {
+  if (elapsed < 0) return 0;
+  const ke = eliminationRate(params.halfLife);
+  const ka = resolveAbsorptionRate(params);
+
+  if (ka === Infinity) return amount * Math.exp(-ke * elapsed);
+  if (Math.abs(ka - ke) < 1e-9) return amount * ke * elapsed * Math.exp(-ke * elapsed);
+  return amount * ka / (ka - ke) * (Math.exp(-ke * elapsed) - Math.exp(-ka * elapsed));
+}
+
+// Part of a dose absorbed `elapsed` hours after it was taken.
+function absorbed(amount, elapsed, ka) {
+  if (elapsed < 0) return 0;
+  return ka === Infinity ? amount : amount * (1 - Math.exp(-ka * elapsed));
+}
+
+// Zero-order elimination (alcohol, after Widmark) clears a fixed amount per
+// hour from whatever is in the body, so doses do not simply add up as they do
+// under first-order elimination. Instead the amount is integrated in `step`
+// hour steps from the first intake. `times` must be in ascending order.
+function zeroOrderLevels(intakes, times, params, step = MINUTE) {
+  if (!intakes.length) return times.map(() => 0);
+  const takenBy = (t) => intakes.reduce((total, intake) => total + absorbed(intake.amount, t - intake.time, params.absorptionRate), 0);
+  const first = Math.min(...intakes.map((intake) => intake.time));
+  let t = first;
+  let taken = takenBy(first);
+  let level = taken;
+  return times.map((time) => {
+    while (t < time) {
+      const next = Math.min(t + step, time);
+      const nextTaken = takenBy(next);
+      level = Math.max(0, level + nextTaken - taken - params.clearanceRate * (next - t));
+      taken = nextTaken;
+      t = next;
+    }
+    return time < first ? 0 : level;
+  });
+}
+
+// Total amount in the body at time `t` from every intake taken so far.
+export function levelAt(intakes, t, params = DEFAULT_PARAMS) {
+  params = withResolvedRates(params);
+  if (params.elimination === ELIMINATION.ZERO_ORDER) return zeroOrderLevels(intakes, [t], params)[0];
+  return intakes.reduce((total, intake) => total + doseLevel(intake.amount, t - intake.time, params), 0);
+}
+
+// Samples the level from `start` to `end` (exclusive) every `resolution` hours.
+export function curve(intakes, [start, end], resolution = MINUTE, params = DEFAULT_PARAMS) {
+  const steps = Math.round((end - start) / resolution);
+  const times = Array.from({ length: steps }, (_, i) => start + i * resolution);
+  params = withResolvedRates(params);
+  if (params.elimination === ELIMINATION.ZERO_ORDER) {
+    const levels = zeroOrderLevels(intakes, times, params);
+    return times.map((time, i) => ({ time, level: levels[i] }));
+  }
+  return times.map((time) => ({ time, level: levelAt(intakes, time, params) }));
+}
+
+// Highest sampled point of a curve, or null for an empty curve.
+export function peak(points) {
+  return points.reduce((max, point) => (!max || point.level > max.level ? point : max), null);
+}
+
+// First time after the peak at which the curve drops below `threshold`,
+// or null if it never does within the sampled range.
+export function timeBelow(points, threshold) {
+  const top = peak(points);
+  if (!top) return null;
+  const point = points.find((p) => p.time >= top.time && p.level < threshold);
+  return point ? point.time : null;
+}
+
+// Earliest time from which the level stays below `threshold` for good, found
+// to within `resolution` hours. Once every dose is past its own peak the curve
+// only falls, so the answer is searched from there.
+export function clearTime(intakes, threshold, params = DEFAULT_PARAMS, resolution = MINUTE) {
+  if (!intakes.length) return null;
+  params = withResolvedRates(params);
+
+  const first = Math.min(...intakes.map((intake) => intake.time));
+  const last = Math.max(...intakes.map((intake) => intake.time));
+  const ke = eliminationRate(params.halfLife);
+  const ka = params.absorptionRate;
+  const settled = last + (ka === Infinity ? 0 : timeToPeakFor(ka, ke));
+  const below = (t) => levelAt(intakes, t, params) < threshold;
+
+  if (below(settled)) {
+    let t = settled;
+    while (t > first && below(Math.max(first, t - resolution))) t = Math.max(first, t - resolution);
+    return t;
+  }
+
+  let low = settled;
+  let step = params.halfLife;
+  while (!below(low + step)) {
+    low += step;
+    step *= 2;
+  }
+  let high = low + step;
+  while (high - low > resolution) {
+    const mid = (low + high) / 2;
+    if (below(mid)) high = mid;
+    else low = mid;
+  }
+  return high;
+}
+
+// Whether the level is below `target.threshold` from `target.time` onwards.
+// Intakes after the target time belong to the next day and are ignored.
+export function meetsTarget(intakes, target, params = DEFAULT_PARAMS) {
+  const before = intakes.filter((intake) => intake.time <= target.time);
+  const clear = clearTime(before, target.threshold, params);
+  return clear === null || clear <= target.time;
+}
+
+// Latest time, no earlier than `earliest`, at which `amount` mg can be taken
+// and still meet `target`. Null if even `earliest` is too late.
+export function latestDoseTime(intakes, amount, target, params = DEFAULT_PARAMS, earliest = target.time - 24, resolution = MINUTE) {
+  const fits = (time) => meetsTarget([...intakes, { time, amount }], target, params);
+  if (!fits(earliest)) return null;
+  if (fits(target.time)) return target.time;
+
+  let low = earliest;
+  let high = target.time;
+  while (high - low > resolution) {
+    const mid = (low + high) / 2;
+    if (fits(mid)) low = mid;
+    else high = mid;
+  }
+  return low;
+}
+
+// Largest dose in whole mg that can be taken at `time` and still meet
+// `target`, up to `maxAmount`. Zero if nothing fits.
+export function maxDoseAt(intakes, time, target, params = DEFAULT_PARAMS, maxAmount = 1000) {
+  const fits = (amount) => meetsTarget([...intakes, { time, amount }], target, params);
+  if (!meetsTarget(intakes, target, params)) return 0;
+  if (fits(maxAmount)) return maxAmount;
+
+  let low = 0;
+  let high = maxAmount;
+  while (high - low > 1) {
+    const mid = Math.floor((low + high) / 2);
+    if (fits(mid)) low = mid;
+    else high = mid;
+  }
+  return low;
+}
@@ -0,0 +1,101 @@
+// Personal half-life profile. The half-life is either entered directly or
+// derived from a baseline and factors known to change caffeine clearance.
+// Multipliers are rough midpoints of published ranges, not a diagnosis.
+
+export const BASELINE_HALF_LIFE = 5; // hours
+export const MIN_HALF_LIFE = 1; // hours
+export const MAX_HALF_LIFE = 100; // hours
+
+export const PROFILE_MODE = {
+  FACTORS: 'factors',
+  CUSTOM: 'custom',
+};
+
+export const FACTORS = {
+  smoker: {
+    label: 'Smoker',
+    options: [
+      { value: false, label: 'No', multiplier: 1 },
+      { value: true, label: 'Yes', multiplier: 0.6 },
+    ],
+  },
+  pregnancy: {
+    label: 'Pregnancy',
+    options: [
+      { value: 0, label: 'Not pregnant', multiplier: 1 },
+      { value: 1, label: 'First trimester', multiplier: 1.5 },
+      { value: 2, label: 'Second trimester', multiplier: 2 },
+      { value: 3, label: 'Third trimester', multiplier: 3 },
+    ],
+  },
+  oralContraceptives: {
+    label: 'Oral contraceptives',
+    options: [
+      { value: false, label: 'No', multiplier: 1 },
+      { value: true, label: 'Yes', multiplier: 2 },
+    ],
+  },
+  liver: {
+    label: 'Liver impairment',
+    options: [
+      { value: 'none', label: 'None', multiplier: 1 },
+      { value: 'mild', label: 'Mild', multiplier: 2 },
+      { value: 'severe', label: 'Severe (cirrhosis)', multiplier: 5 },
+    ],
+  },
+  cyp1a2: {
+    label: 'CYP1A2-inhibiting medication',
+    options: [
+      { value: 'none', label: 'None', multiplier: 1 },
+      { value: 'moderate', label: 'Moderate (e.g. ciprofloxacin)', multiplier: 2 },
+      { value: 'strong', label: 'Strong (e.g. fluvoxamine)', multiplier: 5 },
+    ],
+  },
+};
+
+export const DEFAULT_PROFILE = {
+  mode: PROFILE_MODE.FACTORS,
+  halfLife: BASELINE_HALF_LIFE,
+  smoker: false,
+  pregnancy: 0,
+  oralContraceptives: false,
+  liver: 'none',
+  cyp1a2: 'none',
+};
+
+export function factorMultiplier(key, value) {
+  const option = FACTORS[key].options.find((o) => o.value === value);
+  return option ? option.multiplier : 1;
+}
+
+export function clampHalfLife(halfLife) {
+  return Math.min(MAX_HALF_LIFE, Math.max(MIN_HALF_LIFE, halfLife));
+}
+
+// Error message for an unusable profile, or null if it is fine.
+export function checkProfile(profile) {
+  if (!profile || typeof profile !== 'object') return 'Profile is missing';
+  if (!Object.values(PROFILE_MODE).includes(profile.mode)) return 'Unknown profile mode';
+  for (const [key, factor] of Object.entries(FACTORS)) {
+    if (!factor.options.some((o) => o.value === profile[key])) return `Unknown value for ${factor.label.toLowerCase()}`;
+  }
+  if (profile.mode === PROFILE_MODE.CUSTOM &&
+    !(profile.halfLife >= MIN_HALF_LIFE && profile.halfLife <= MAX_HALF_LIFE)) {
+    return `Half-life must be between ${MIN_HALF_LIFE} and ${MAX_HALF_LIFE} hours`;
+  }
+  return null;
+}
+
+// The half-life in hours the model should use for this profile.
+export function resolveHalfLife(profile = DEFAULT_PROFILE) {
+  if (profile.mode === PROFILE_MODE.CUSTOM) {
+    return clampHalfLife(Number(profile.halfLife) || BASELINE_HALF_LIFE);
+  }
+  const multiplier = Object.keys(FACTORS)
+    .reduce((total, key) => total * factorMultiplier(key, profile[key]), 1);
+  return clampHalfLife(BASELINE_HALF_LIFE * multiplier);
+}
+
+export function formatHours(hours) {
+  return `${Math.round(hours * 10) / 10}`;
+}
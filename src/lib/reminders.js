@@ -0,0 +1,70 @@
+// Reminders worked out from the model: when there is room for another drink,
+// the last call before bedtime and when caffeine has dropped below the sleep
+// threshold. There is no push server, so the page schedules them itself and
+// they only arrive while it is open, in a tab or installed as an app.
+
+import { clearTime, latestDoseTime, levelAt, meetsTarget } from "@/lib/pharmacokinetics";
+
+export const REMINDER = {
+  REFILL: 'refill',
+  LAST_CALL: 'last-call',
+  CLEAR: 'clear',
+};
+
+export const DEFAULT_REMINDERS = {
+  enabled: false,
+  [REMINDER.REFILL]: true,
+  refillLevel: 100, // mg, room for another drink once below this
+  [REMINDER.LAST_CALL]: true,
+  lastCallLead: 15, // minutes before the last call
+  [REMINDER.CLEAR]: false,
+};
+
+export function checkReminders(reminders) {
+  if (!reminders || typeof reminders !== 'object') return 'Reminder settings are missing';
+  for (const key of ['enabled', ...Object.values(REMINDER)]) {
+    if (typeof reminders[key] !== 'boolean') return 'Reminders must be on or off';
+  }
+  if (!(reminders.refillLevel > 0 && reminders.refillLevel <= 1000)) return 'Reminder level must be between 1 and 1000 mg';
+  if (!(reminders.lastCallLead >= 0 && reminders.lastCallLead <= 120)) return 'Last call notice must be up to 120 minutes';
+  return null;
+}
+
+// Saved preferences with anything missing filled in, or the defaults.
+export function sanitizeReminders(reminders) {
+  const merged = { ...DEFAULT_REMINDERS, ...(reminders && typeof reminders === 'object' ? reminders : {}) };
+  const picked = Object.fromEntries(Object.keys(DEFAULT_REMINDERS).map((key) => [key, merged[key]]));
+  return checkReminders(picked) ? DEFAULT_REMINDERS : picked;
+}
+
+// Reminders due after `now`, all on the model's timeline in hours, as
+// { id, kind, time }. `amount` is the drink the refill and last call are
+// about; `target` is the sleep target as for meetsTarget.
+export function upcomingReminders(timeline, params, { now, amount, target, reminders }) {
+  const upcoming = [];
+  const add = (kind, time) => {
+    if (time !== null && time > now) upcoming.push({ id: `${kind}-${Math.round(time * 60)}`, kind, time });
+  };
+
+  if (reminders[REMINDER.REFILL]) {
+    // Only what has been taken counts: a drink already planned is the refill.
+    const taken = timeline.filter((intake) => intake.time <= now);
+    const planned = timeline.some((intake) => intake.time > now && intake.time < target.time);
+    if (!planned && levelAt(taken, now, params) >= reminders.refillLevel) {
+      const time = clearTime(taken, reminders.refillLevel, params);
+      if (time !== null && time < target.time && meetsTarget([...taken, { time, amount }], target, params)) {
+        add(REMINDER.REFILL, time);
+      }
+    }
+  }
+
+  if (reminders[REMINDER.LAST_CALL]) {
+    const latest = latestDoseTime(timeline, amount, target, params, now);
+    if (latest !== null && latest < target.time) add(REMINDER.LAST_CALL, latest - reminders.lastCallLead / 60);
+  }
+
+  if (reminders[REMINDER.CLEAR] && timeline.length) {
+    add(REMINDER.CLEAR, clearTime(timeline, target.threshold, params));
+  }
+  return upcoming.sort((a, b) => a.time - b.time);
+}
@@ -0,0 +1,119 @@
+import { ABSORPTION, DEFAULT_PARAMS } from "@/lib/pharmacokinetics";
+import { DEFAULT_PROFILE, checkProfile, resolveHalfLife } from "@/lib/profile";
+import { AGE_GROUP, MIN_WEIGHT, MAX_WEIGHT } from "@/lib/limits";
+import { CLOCK } from "@/lib/time";
+import { CAFFEINE, findSubstance, paramsFor } from "@/lib/substances";
+import {
+  UNIT, DEFAULT_VOLUME_OF_DISTRIBUTION, MIN_VOLUME_OF_DISTRIBUTION, MAX_VOLUME_OF_DISTRIBUTION, isConcentration,
+} from "@/lib/units";
+
+export const VIEW_DAYS = [1, 3, 7];
+
+export const DEFAULT_SETTINGS = {
+  viewDays: 1,
+  absorption: DEFAULT_PARAMS.absorption,
+  timeToPeak: DEFAULT_PARAMS.timeToPeak * 60, // minutes
+  profile: DEFAULT_PROFILE,
+  bedtime: 23, // hours
+  sleepThreshold: 50, // mg
+  weight: null, // kg, unknown until entered
+  ageGroup: AGE_GROUP.ADULT,
+  dailyLimit: null, // mg, null follows guidance
+  singleLimit: null, // mg, null follows guidance
+  unit: UNIT.MG,
+  volumeOfDistribution: DEFAULT_VOLUME_OF_DISTRIBUTION, // L/kg
+  clock: CLOCK.LOCALE,
+  aboveLevel: 100, // mg, for the time spent above it
+  checkTime: 15, // hours, time of day to report the level at
+  freeLevel: 5, // mg, below which caffeine counts as gone
+};
+
+// Error message for unusable settings, or null if they are fine.
+export function checkSettings(settings) {
+  if (!settings || typeof settings !== 'object') return 'Settings are missing';
+  if (!VIEW_DAYS.includes(settings.viewDays)) return `View must be ${VIEW_DAYS.join(', ')} days`;
+  if (!Object.values(ABSORPTION).includes(settings.absorption)) return 'Unknown absorption model';
+  if (settings.absorption === ABSORPTION.FIRST_ORDER && !(settings.timeToPeak >= 1 && settings.timeToPeak <= 240)) {
+    return 'Time to peak must be between 1 and 240 minutes';
+  }
+  const profileError = checkProfile(settings.profile);
+  if (profileError) return profileError;
+  if (!(settings.bedtime >= 0 && settings.bedtime < 24)) return 'Bedtime must be between 00:00 and 23:59';
+  if (!(settings.sleepThreshold > 0 && settings.sleepThreshold <= 1000)) {
+    return 'Sleep threshold must be between 1 and 1000 mg';
+  }
+  if (settings.weight !== null && !(settings.weight >= MIN_WEIGHT && settings.weight <= MAX_WEIGHT)) {
+    return `Body weight must be between ${MIN_WEIGHT} and ${MAX_WEIGHT} kg`;
+  }
+  if (!Object.values(AGE_GROUP).includes(settings.ageGroup)) return 'Unknown age group';
+  for (const key of ['dailyLimit', 'singleLimit']) {
+    if (settings[key] !== null && !(settings[key] > 0 && settings[key] <= 2000)) {
+      return 'Limits must be between 1 and 2000 mg';
+    }
+  }
+  if (!Object.values(UNIT).includes(settings.unit)) return 'Unknown unit';
+  if (!Object.values(CLOCK).includes(settings.clock)) return 'Unknown clock format';
+  if (!(settings.volumeOfDistribution >= MIN_VOLUME_OF_DISTRIBUTION &&
+    settings.volumeOfDistribution <= MAX_VOLUME_OF_DISTRIBUTION)) {
+    return `Volume of distribution must be between ${MIN_VOLUME_OF_DISTRIBUTION} and ${MAX_VOLUME_OF_DISTRIBUTION} L/kg`;
+  }
+  if (!(settings.aboveLevel > 0 && settings.aboveLevel <= 1000)) return 'Level to stay above must be between 1 and 1000 mg';
+  if (!(settings.checkTime >= 0 && settings.checkTime < 24)) return 'Time to check must be between 00:00 and 23:59';
+  if (!(settings.freeLevel > 0 && settings.freeLevel <= 100)) return 'Caffeine-free level must be above 0 and at most 100 mg';
+  if (isConcentration(settings.unit) && settings.weight === null) {
+    return 'Enter your body weight to show plasma concentration';
+  }
+  return null;
+}
+
+// Fills in anything missing from older or partial settings with defaults
+// and drops unknown keys. The result still needs checking.
+export function mergeSettings(settings) {
+  const source = settings && typeof settings === 'object' ? settings : {};
+  return {
+    ...pick(DEFAULT_SETTINGS, source),
+    profile: pick(DEFAULT_PROFILE, source.profile),
+  };
+}
+
+// Merged settings, or the defaults entirely if they are still unusable.
+export function sanitizeSettings(settings) {
+  const merged = mergeSettings(settings);
+  return checkSettings(merged) ? DEFAULT_SETTINGS : merged;
+}
+
+function pick(defaults, values) {
+  const source = values && typeof values === 'object' ? values : {};
+  return Object.fromEntries(Object.keys(defaults).map((key) => [key, key in source ? source[key] : defaults[key]]));
+}
+
+// Only the settings that differ from the defaults, for compact sharing.
+export function settingsDiff(settings) {
+  const diff = {};
+  for (const key of Object.keys(DEFAULT_SETTINGS)) {
+    if (key === 'profile') {
+      const profile = Object.fromEntries(Object.keys(DEFAULT_PROFILE)
+        .filter((k) => settings.profile[k] !== DEFAULT_PROFILE[k])
+        .map((k) => [k, settings.profile[k]]));
+      if (Object.keys(profile).length) diff.profile = profile;
+    } else if (settings[key] !== DEFAULT_SETTINGS[key]) {
+      diff[key] = settings[key];
+    }
+  }
+  return diff;
+}
+
+export function modelParams(settings) {
+  return {
+    ...DEFAULT_PARAMS,
+    halfLife: resolveHalfLife(settings.profile),
+    absorption: settings.absorption,
+    timeToPeak: settings.timeToPeak / 60,
+  };
+}
+
+// Model parameters for any substance; only caffeine follows the settings.
+export function substanceParams(settings, id) {
+  if (id === CAFFEINE) return modelParams(settings);
+  return { ...DEFAULT_PARAMS, ...paramsFor(findSubstance(id), settings.weight) };
+}
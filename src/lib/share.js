@@ -0,0 +1,104 @@
+// Compact, URL-safe encoding of a schedule and its settings for sharing links.
+// Decoding never throws: anything malformed yields null and goes through the
+// same checks as intakes typed into the table.
+
+import { PRESET_DRINKS, findDrink, withDrink } from "@/lib/drinks";
+import { checkIntakes, intakeDate, sortIntakes } from "@/lib/intakes";
+import { checkSettings, mergeSettings, settingsDiff } from "@/lib/settings";
+import { addDays, daysBetween, isISODate, splitTimestamp, toTimestamp } from "@/lib/time";
+
+export const SHARE_PARAM = 's';
+const SHARE_VERSION = 1;
+const MAX_ENCODED_LENGTH = 20000;
+const MAX_INTAKES = 500;
+
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  const binary = Array.from(bytes, (byte) => String.fromCharCode(byte)).join('');
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(encoded) {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, (char) => char.charCodeAt(0)));
+}
+
+const finite = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : NaN);
+
+// Each intake becomes [day, minute, amount] for a plain amount, plus
+// [drinkId, servings] for a preset or [drinkId, servings, name, caffeine]
+// for a custom drink. Days count from the earliest intake's date. Intakes of
+// other substances than caffeine are listed apart, by index, so that links
+// made before there were substances read the same.
+function encodeIntake(intake, baseDate) {
+  const { date, time } = splitTimestamp(intake.at);
+  const row = [daysBetween(baseDate, date), Math.round(time * 60), intake.amount];
+  if (!intake.name) return row;
+  row.push(intake.drinkId, intake.servings);
+  if (!findDrink(PRESET_DRINKS, intake.drinkId)) row.push(intake.name, intake.caffeine);
+  return row;
+}
+
+function decodeIntake(row, baseDate) {
+  if (!Array.isArray(row)) return null;
+  const [day, minute, amount, drinkId, servings, name, caffeine] = row;
+  if (!Number.isInteger(day) || Math.abs(day) > 3650) return null;
+  if (!Number.isInteger(minute) || minute < 0 || minute >= 24 * 60) return null;
+  const intake = { at: toTimestamp(addDays(baseDate, day), minute / 60), amount: finite(amount) };
+  if (drinkId === undefined) return intake;
+
+  const preset = findDrink(PRESET_DRINKS, drinkId);
+  if (!preset && typeof name !== 'string') return null;
+  const drink = preset ?? { id: String(drinkId), name, caffeine: finite(caffeine) };
+  return withDrink(intake, drink, finite(servings));
+}
+
+export function encodeShare(intakes, settings) {
+  const baseDate = intakeDate(sortIntakes(intakes)[0]);
+  const payload = {
+    v: SHARE_VERSION,
+    b: baseDate,
+    i: intakes.map((intake) => encodeIntake(intake, baseDate)),
+    s: settingsDiff(settings),
+  };
+  const substances = Object.fromEntries(
+    intakes.map((intake, index) => [index, intake.substance]).filter(([, substance]) => substance !== undefined)
+  );
+  if (Object.keys(substances).length) payload.u = substances;
+  return toBase64Url(JSON.stringify(payload));
+}
+
+// Returns { intakes, settings } or null if the encoded state is unusable.
+export function decodeShare(encoded) {
+  try {
+    if (typeof encoded !== 'string' || !encoded || encoded.length > MAX_ENCODED_LENGTH) return null;
+    const payload = JSON.parse(fromBase64Url(encoded));
+    if (!payload || payload.v !== SHARE_VERSION || !isISODate(payload.b)) return null;
+    if (!Array.isArray(payload.i) || payload.i.length > MAX_INTAKES) return null;
+
+    const intakes = payload.i.map((row) => decodeIntake(row, payload.b));
+    if (intakes.includes(null)) return null;
+    if (payload.u !== undefined && (!payload.u || typeof payload.u !== 'object' || Array.isArray(payload.u))) return null;
+    for (const [index, substance] of Object.entries(payload.u ?? {})) {
+      // Only row numbers, so keys like __proto__ cannot reach the array's prototype.
+      if (!/^\d+$/.test(index) || Number(index) >= intakes.length || typeof substance !== 'string') return null;
+      intakes[index].substance = substance;
+    }
+    if (checkIntakes(intakes)) return null;
+
+    const settings = mergeSettings(payload.s);
+    if (checkSettings(settings)) return null;
+    return { intakes, settings };
+  } catch {
+    return null;
+  }
+}
+
+export function readShareFromLocation(location = window.location) {
+  const params = new URLSearchParams(location.hash.slice(1));
+  return params.has(SHARE_PARAM) ? params.get(SHARE_PARAM) : null;
+}
+
+export function shareUrl(intakes, settings, location = window.location) {
+  return `${location.origin}${location.pathname}#${SHARE_PARAM}=${encodeShare(intakes, settings)}`;
+}
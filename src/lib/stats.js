@@ -0,0 +1,34 @@
+// Key figures for one day of the caffeine curve, shown under the chart so
+// they do not have to be read off the tooltip. The day includes whatever
+// carried over from the days before.
+
+import { clearTime, curve, levelAt, peak, MINUTE } from "@/lib/pharmacokinetics";
+import { HOURS_PER_DAY } from "@/lib/time";
+
+// Area under a curve sampled every `resolution` hours, in amount × hours.
+export function areaUnder(points, resolution) {
+  return points.reduce((total, point) => total + point.level * resolution, 0);
+}
+
+// Hours spent at or above `level` by a curve sampled every `resolution` hours.
+export function timeAbove(points, level, resolution) {
+  return points.filter((point) => point.level >= level).length * resolution;
+}
+
+// Figures for the day starting at `dayStart` on the timeline. `options` are
+// the level to measure time above, the time of day to check the level at
+// and the level below which caffeine is taken to be gone, all in mg and hours.
+export function daySummary(timeline, dayStart, params, { aboveLevel, checkTime, freeLevel }) {
+  const dayEnd = dayStart + HOURS_PER_DAY;
+  const points = curve(timeline, [dayStart, dayEnd], MINUTE, params);
+  return {
+    peak: peak(points),
+    total: timeline
+      .filter((intake) => intake.time >= dayStart && intake.time < dayEnd)
+      .reduce((total, intake) => total + intake.amount, 0),
+    area: areaUnder(points, MINUTE),
+    timeAbove: timeAbove(points, aboveLevel, MINUTE),
+    checkLevel: levelAt(timeline, dayStart + checkTime, params),
+    freeAt: clearTime(timeline, freeLevel, params),
+  };
+}
@@ -0,0 +1,116 @@
+// Local persistence of the current schedule, named schedules, custom drinks,
+// the intake history and reminder preferences.
+// Everything lives under one localStorage key with a schema version; data
+// saved by an older version is migrated step by step instead of discarded.
+
+import { alignIntakes, checkIntakes, upgradeIntake } from "@/lib/intakes";
+import { sanitizeSettings } from "@/lib/settings";
+import { isValidDrink } from "@/lib/drinks";
+import { DEFAULT_REMINDERS, sanitizeReminders } from "@/lib/reminders";
+import { today } from "@/lib/time";
+
+const STORAGE_KEY = 'caffeine-half-life';
+const LEGACY_DRINKS_KEY = 'caffeine-half-life:drinks';
+
+export const SCHEMA_VERSION = 4;
+
+const upgradeAll = (intakes) => (Array.isArray(intakes) ? intakes.map(upgradeIntake) : intakes);
+
+// MIGRATIONS[n] upgrades data saved at version n to version n + 1.
+const MIGRATIONS = {
+  // Before versioning only custom drinks were stored, under their own key.
+  0: (data) => ({ version: 1, current: null, schedules: [], drinks: data.drinks ?? [] }),
+  1: (data) => ({ ...data, version: 2, history: [] }),
+  // Intakes had a date and a fractional hour before they got timestamps.
+  2: (data) => ({
+    ...data,
+    version: 3,
+    current: data.current && { ...data.current, intakes: upgradeAll(data.current.intakes) },
+    schedules: Array.isArray(data.schedules)
+      ? data.schedules.map((schedule) => schedule && { ...schedule, intakes: upgradeAll(schedule.intakes) })
+      : data.schedules,
+    history: upgradeAll(data.history),
+  }),
+  3: (data) => ({ ...data, version: 4, reminders: DEFAULT_REMINDERS }),
+};
+
+export function migrate(data) {
+  let migrated = data;
+  while (migrated.version < SCHEMA_VERSION) {
+    const step = MIGRATIONS[migrated.version];
+    if (!step) throw new Error(`No migration from schema version ${migrated.version}`);
+    migrated = step(migrated);
+  }
+  return migrated;
+}
+
+function sanitizeSchedule(schedule) {
+  if (!schedule || typeof schedule !== 'object' || checkIntakes(schedule.intakes)) return null;
+  return {
+    id: String(schedule.id),
+    name: String(schedule.name || 'Untitled'),
+    savedAt: schedule.savedAt ?? null,
+    intakes: schedule.intakes,
+    settings: sanitizeSettings(schedule.settings),
+  };
+}
+
+function readRaw() {
+  const stored = localStorage.getItem(STORAGE_KEY);
+  if (stored) return JSON.parse(stored);
+
+  const legacyDrinks = localStorage.getItem(LEGACY_DRINKS_KEY);
+  if (legacyDrinks) return { version: 0, drinks: JSON.parse(legacyDrinks) };
+  return null;
+}
+
+export function emptyState() {
+  return { current: null, schedules: [], drinks: [], history: [], reminders: DEFAULT_REMINDERS };
+}
+
+// Reads and migrates saved state. Anything unreadable or invalid is dropped
+// piece by piece so one bad schedule does not cost the others.
+export function loadState() {
+  try {
+    const raw = readRaw();
+    if (!raw || typeof raw !== 'object' || raw.version > SCHEMA_VERSION) return emptyState();
+    const data = migrate({ version: 0, ...raw });
+
+    const current = data.current && !checkIntakes(data.current.intakes)
+      ? { intakes: data.current.intakes, settings: sanitizeSettings(data.current.settings) }
+      : null;
+    return {
+      current,
+      schedules: (Array.isArray(data.schedules) ? data.schedules : []).map(sanitizeSchedule).filter(Boolean),
+      drinks: (Array.isArray(data.drinks) ? data.drinks : []).filter(isValidDrink),
+      history: (Array.isArray(data.history) ? data.history : []).filter((intake) => !checkIntakes([intake])),
+      reminders: sanitizeReminders(data.reminders),
+    };
+  } catch {
+    return emptyState();
+  }
+}
+
+export function saveState(state) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: SCHEMA_VERSION, ...state }));
+    localStorage.removeItem(LEGACY_DRINKS_KEY);
+  } catch {
+    // Storage can be full or disabled; the app then only lasts for the session.
+  }
+}
+
+export function createSchedule(name, intakes, settings) {
+  return {
+    id: `schedule-${Date.now().toString(36)}`,
+    name: name.trim(),
+    savedAt: new Date().toISOString(),
+    intakes,
+    settings,
+  };
+}
+
+// A saved schedule's intakes moved so that its last day lands on today.
+export function scheduleForToday(schedule) {
+  return alignIntakes(schedule.intakes, today());
+}
@@ -0,0 +1,94 @@
+// Substances that can be tracked alongside caffeine. Caffeine's kinetics and
+// limits come from the settings (profile, absorption, limits panel); the
+// others use typical values from the literature. Intakes without a
+// `substance` field are caffeine, so everything saved before there were
+// other substances still reads as it did.
+
+import { ABSORPTION, ELIMINATION } from "@/lib/pharmacokinetics";
+
+export const CAFFEINE = 'caffeine';
+
+// Widmark's average ratio of body water to weight and the hourly fall in
+// blood alcohol (g/kg per hour); together they give grams cleared per hour.
+const WIDMARK_R = 0.6;
+const WIDMARK_BETA = 0.15;
+const DEFAULT_WEIGHT = 70; // kg, for alcohol until a weight is entered
+
+export const SUBSTANCES = [
+  { id: CAFFEINE, name: 'Caffeine', unit: 'mg', defaultAmount: 100, step: 5 },
+  {
+    id: 'theobromine',
+    name: 'Theobromine',
+    source: 'cocoa and chocolate',
+    unit: 'mg',
+    defaultAmount: 200,
+    step: 10,
+    params: { halfLife: 7.5, absorption: ABSORPTION.FIRST_ORDER, timeToPeak: 2.5 },
+    limits: {
+      daily: { limit: 1000, rule: 'Theobromine side effects become common from 1000 mg a day' },
+      single: { limit: 500, rule: 'Theobromine doses in studies go up to 500 mg at once' },
+    },
+  },
+  {
+    id: 'nicotine',
+    name: 'Nicotine',
+    source: 'cigarettes, gum and pouches',
+    unit: 'mg',
+    defaultAmount: 2,
+    step: 0.5,
+    params: { halfLife: 2, absorption: ABSORPTION.FIRST_ORDER, timeToPeak: 0.5 },
+    limits: {
+      daily: { limit: 40, rule: 'Nicotine: a pack of cigarettes delivers about 40 mg' },
+      single: { limit: 4, rule: 'Nicotine: the strongest gum and lozenges hold 4 mg' },
+    },
+  },
+  {
+    id: 'l-theanine',
+    name: 'L-theanine',
+    source: 'tea and supplements',
+    unit: 'mg',
+    defaultAmount: 200,
+    step: 25,
+    params: { halfLife: 1.2, absorption: ABSORPTION.FIRST_ORDER, timeToPeak: 0.8 },
+    limits: {
+      daily: { limit: 900, rule: 'L-theanine has been studied as safe up to 900 mg a day' },
+      single: { limit: 400, rule: 'L-theanine supplements go up to 400 mg a dose' },
+    },
+  },
+  {
+    id: 'alcohol',
+    name: 'Alcohol',
+    source: 'beer, wine and spirits; 14 g is one US standard drink',
+    unit: 'g',
+    defaultAmount: 14,
+    step: 1,
+    params: { elimination: ELIMINATION.ZERO_ORDER, absorption: ABSORPTION.FIRST_ORDER, absorptionRate: 3 },
+    limits: {
+      daily: { limit: 28, rule: 'US Dietary Guidelines for alcohol: at most 2 standard drinks (28 g) a day' },
+      single: { limit: 28, rule: 'Alcohol: at most 2 standard drinks (28 g) at once' },
+    },
+  },
+];
+
+export function findSubstance(id) {
+  return SUBSTANCES.find((substance) => substance.id === id) ?? null;
+}
+
+export function substanceId(intake) {
+  return intake.substance ?? CAFFEINE;
+}
+
+export function substanceOf(intake) {
+  return findSubstance(substanceId(intake));
+}
+
+export function intakesOf(intakes, id) {
+  return intakes.filter((intake) => substanceId(intake) === id);
+}
+
+// Model parameters for a substance other than caffeine. Alcohol is cleared
+// at a rate that grows with body weight.
+export function paramsFor(substance, weight) {
+  if (substance.params.elimination !== ELIMINATION.ZERO_ORDER) return substance.params;
+  return { ...substance.params, clearanceRate: WIDMARK_BETA * WIDMARK_R * (weight ?? DEFAULT_WEIGHT) };
+}
@@ -0,0 +1,129 @@
+// Calendar helpers. Dates are local "YYYY-MM-DD" strings, intakes are stamped
+// with local wall-clock "YYYY-MM-DDTHH:MM" timestamps and times of day are
+// fractional hours, so a day is always 24 hours on the model's timeline even
+// across daylight saving changes.
+
+export const HOURS_PER_DAY = 24;
+const MINUTES_PER_DAY = HOURS_PER_DAY * 60;
+
+export const CLOCK = {
+  LOCALE: 'locale',
+  H12: '12h',
+  H24: '24h',
+};
+
+const pad = (n) => n.toString().padStart(2, '0');
+
+export function toISODate(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export function today() {
+  return toISODate(new Date());
+}
+
+export function isISODate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+}
+
+export function parseISODate(value) {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+// Whole days from `from` to `to`, ignoring daylight saving shifts.
+export function daysBetween(from, to) {
+  const [fy, fm, fd] = from.split('-').map(Number);
+  const [ty, tm, td] = to.split('-').map(Number);
+  return Math.round((Date.UTC(ty, tm - 1, td) - Date.UTC(fy, fm - 1, fd)) / 86400000);
+}
+
+export function addDays(value, days) {
+  const date = parseISODate(value);
+  date.setDate(date.getDate() + days);
+  return toISODate(date);
+}
+
+// Hours from midnight of `reference` to `time` hours into `date`.
+export function hoursFrom(reference, date, time) {
+  return daysBetween(reference, date) * HOURS_PER_DAY + time;
+}
+
+// Inverse of hoursFrom: the date and time of day `hours` after midnight of `reference`.
+export function fromTimeline(reference, hours) {
+  const days = Math.floor(hours / HOURS_PER_DAY);
+  return { date: addDays(reference, days), time: hours - days * HOURS_PER_DAY };
+}
+
+export function formatTimeOfDay(time) {
+  const minutes = Math.round(time * 60) % MINUTES_PER_DAY;
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+export function parseTimeOfDay(value) {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours + minutes / 60;
+}
+
+// A length of time such as "2 h 15 min", to the nearest minute.
+export function formatDuration(hours) {
+  const minutes = Math.round(hours * 60);
+  if (minutes < 60) return `${minutes} min`;
+  return minutes % 60 ? `${Math.floor(minutes / 60)} h ${minutes % 60} min` : `${minutes / 60} h`;
+}
+
+export function formatDay(value) {
+  return parseISODate(value).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+}
+
+// Time of day for display, in the locale's style or forced to 12 or 24 hours.
+export function formatClock(time, clock = CLOCK.LOCALE) {
+  const minutes = Math.round(time * 60) % MINUTES_PER_DAY;
+  const date = new Date(2000, 0, 1, Math.floor(minutes / 60), minutes % 60);
+  const options = { hour: 'numeric', minute: '2-digit' };
+  if (clock === CLOCK.H12) options.hourCycle = 'h12';
+  if (clock === CLOCK.H24) Object.assign(options, { hour: '2-digit', hourCycle: 'h23' });
+  return date.toLocaleTimeString(undefined, options);
+}
+
+export function isTimestamp(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(value)) return false;
+  const [hours, minutes] = value.slice(11).split(':').map(Number);
+  return isISODate(value.slice(0, 10)) && hours < HOURS_PER_DAY && minutes < 60;
+}
+
+// Timestamp `time` hours after midnight of `date`, to the minute. Times of
+// 24 hours or more roll over into the following days.
+export function toTimestamp(date, time) {
+  const total = Math.round(time * 60);
+  const days = Math.floor(total / MINUTES_PER_DAY);
+  const minutes = total - days * MINUTES_PER_DAY;
+  return `${addDays(date, days)}T${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+// Local wall-clock timestamp of a Date, to the minute.
+export function toLocalTimestamp(date) {
+  return toTimestamp(toISODate(date), date.getHours() + date.getMinutes() / 60);
+}
+
+export function splitTimestamp(timestamp) {
+  return { date: timestamp.slice(0, 10), time: parseTimeOfDay(timestamp.slice(11)) };
+}
+
+export function timestampDate(timestamp) {
+  return timestamp.slice(0, 10);
+}
+
+// Hours from midnight of `reference` to `timestamp`.
+export function hoursSince(reference, timestamp) {
+  const { date, time } = splitTimestamp(timestamp);
+  return hoursFrom(reference, date, time);
+}
+
+export function shiftTimestamp(timestamp, hours) {
+  const { date, time } = splitTimestamp(timestamp);
+  return toTimestamp(date, time + hours);
+}
@@ -0,0 +1,46 @@
+// Undo and redo for one value, kept as past and future stacks around the
+// present. Runs of changes in the same group, such as typing into one field
+// or dragging one dose marker, collapse into a single step.
+
+export const MAX_UNDO_STEPS = 100;
+const GROUP_WINDOW = 1000; // ms between changes that still count as one step
+
+export function createUndo(present) {
+  return { past: [], present, future: [], group: null, changedAt: 0 };
+}
+
+export function record(state, present, group = null, now = Date.now()) {
+  if (present === state.present) return state;
+  if (group !== null && group === state.group && now - state.changedAt < GROUP_WINDOW) {
+    return { ...state, present, future: [], changedAt: now };
+  }
+  return {
+    past: [...state.past, state.present].slice(-MAX_UNDO_STEPS),
+    present,
+    future: [],
+    group,
+    changedAt: now,
+  };
+}
+
+export function undo(state) {
+  if (!state.past.length) return state;
+  return {
+    past: state.past.slice(0, -1),
+    present: state.past[state.past.length - 1],
+    future: [state.present, ...state.future],
+    group: null,
+    changedAt: 0,
+  };
+}
+
+export function redo(state) {
+  if (!state.future.length) return state;
+  return {
+    past: [...state.past, state.present],
+    present: state.future[0],
+    future: state.future.slice(1),
+    group: null,
+    changedAt: 0,
+  };
+}
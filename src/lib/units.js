@@ -0,0 +1,61 @@
+// Display units for the caffeine level. The model always works in mg in the
+// body; plasma concentration divides that by the volume of distribution.
+
+export const UNIT = {
+  MG: 'mg',
+  MG_PER_L: 'mg/L',
+  MICROMOLAR: 'µM',
+};
+
+export const CAFFEINE_MOLAR_MASS = 194.19; // g/mol
+export const DEFAULT_VOLUME_OF_DISTRIBUTION = 0.6; // L/kg
+export const MIN_VOLUME_OF_DISTRIBUTION = 0.3; // L/kg
+export const MAX_VOLUME_OF_DISTRIBUTION = 1.5; // L/kg
+
+const DECIMALS = {
+  [UNIT.MG]: 0,
+  [UNIT.MG_PER_L]: 2,
+  [UNIT.MICROMOLAR]: 1,
+};
+
+export const UNIT_LABELS = {
+  [UNIT.MG]: 'Caffeine (mg)',
+  [UNIT.MG_PER_L]: 'Plasma caffeine (mg/L)',
+  [UNIT.MICROMOLAR]: 'Plasma caffeine (µM)',
+};
+
+// For column names in exported files.
+export const UNIT_SUFFIXES = {
+  [UNIT.MG]: 'mg',
+  [UNIT.MG_PER_L]: 'mg_per_l',
+  [UNIT.MICROMOLAR]: 'umol_per_l',
+};
+
+export function isConcentration(unit) {
+  return unit !== UNIT.MG;
+}
+
+// Multiplier from mg in the body to `settings.unit`. Metabolites pass their
+// own molar mass for µM.
+export function unitFactor({ unit, weight, volumeOfDistribution }, molarMass = CAFFEINE_MOLAR_MASS) {
+  if (!isConcentration(unit)) return 1;
+  const mgPerLitre = 1 / (weight * volumeOfDistribution);
+  return unit === UNIT.MICROMOLAR ? mgPerLitre * 1000 / molarMass : mgPerLitre;
+}
+
+export function roundLevel(value, unit) {
+  const scale = 10 ** (DECIMALS[unit] + 1);
+  return Math.round(value * scale) / scale;
+}
+
+export function toUnit(mg, settings, molarMass) {
+  return mg * unitFactor(settings, molarMass);
+}
+
+export function fromUnit(value, settings) {
+  return value / unitFactor(settings);
+}
+
+export function formatLevel(mg, settings, molarMass) {
+  return `${toUnit(mg, settings, molarMass).toFixed(DECIMALS[settings.unit])} ${settings.unit}`;
+}
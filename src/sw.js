@@ -0,0 +1,55 @@
+/* global __CACHE__, __PRECACHE__ */
+// Service worker that keeps the app working offline. The build fills in the
+// files it emitted (see vite.config.js) and all of them are cached at install,
+// so after one visit the app loads without a network. Pages are fetched from
+// the network first and fall back to the last copy. Every build gets its own
+// cache and the older ones are deleted when it takes over.
+
+const CACHE = __CACHE__;
+const PRECACHE = __PRECACHE__;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(PRECACHE)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put('/', response.clone());
+    return response;
+  } catch {
+    return (await cache.match('/')) ?? Response.error();
+  }
+}
+
+// Anything not precached goes to the network and is not kept, so the cache
+// only ever holds one build.
+async function cacheFirst(request) {
+  const cached = await caches.match(request, { cacheName: CACHE });
+  return cached ?? fetch(request);
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+  event.respondWith(request.mode === 'navigate' ? networkFirst(request) : cacheFirst(request));
+});
+
+// Reminders are shown through this worker; clicking one brings the app back.
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => (
+      windows.length ? windows[0].focus() : self.clients.openWindow('/')
+    ))
+  );
+});
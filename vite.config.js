@@ -1,9 +1,43 @@
+import fs from "fs"
 import path from "path"
+import { createHash } from "crypto"
 import react from "@vitejs/plugin-react"
 import { defineConfig } from "vite"
 
+// Emits sw.js from src/sw.js with the list of files to precache: everything
+// the build wrote plus the public folder, with index.html served as "/". The
+// cache is named after a hash of that list and the public files, so each
+// deploy that changes anything gets a fresh cache.
+function serviceWorker() {
+  let root
+  let publicDir
+  return {
+    name: "service-worker",
+    apply: "build",
+    enforce: "post",
+    configResolved(config) {
+      root = config.root
+      publicDir = config.publicDir
+    },
+    generateBundle(_, bundle) {
+      const publicFiles = publicDir && fs.existsSync(publicDir)
+        ? fs.readdirSync(publicDir).filter((file) => fs.statSync(path.join(publicDir, file)).isFile())
+        : []
+      const files = [...Object.keys(bundle).filter((file) => file !== "index.html"), ...publicFiles].sort()
+      const hash = createHash("sha256").update(files.join("\n"))
+      for (const file of publicFiles) hash.update(fs.readFileSync(path.join(publicDir, file)))
+
+      const source = fs.readFileSync(path.join(root, "src/sw.js"), "utf8")
+        .replace(/^\/\* global .*\*\/\n/, "")
+        .replace("__PRECACHE__", JSON.stringify(["/", ...files.map((file) => `/${file}`)]))
+        .replace("__CACHE__", JSON.stringify(`caffeine-half-life-${hash.digest("hex").slice(0, 8)}`))
+      this.emitFile({ type: "asset", fileName: "sw.js", source })
+    },
+  }
+}
+
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   resolve: {
     alias: {
       "@": path.resolve(__dirname, "./src"),